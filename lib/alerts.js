@@ -0,0 +1,245 @@
+// lib/alerts.js - Alertas de stock: limites por produto/tag e envio por webhook, email ou ficheiro
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { isAvailable } = require('./inventory');
+
+const CONFIG_KEYS = ['threshold', 'rules', 'channels'];
+const RULE_KEYS = ['product_id', 'tag', 'threshold'];
+const CHANNEL_KEYS = {
+    webhook: ['type', 'events', 'url', 'url_env'],
+    smtp: ['type', 'events', 'host', 'port', 'secure', 'user_env', 'pass_env', 'from', 'to'],
+    log: ['type', 'events', 'file']
+};
+const ALERT_TYPES = {
+    low_stock: '⚠️ Stock baixo',
+    out_of_stock: '❌ Esgotado',
+    back_in_stock: '✅ De volta ao stock'
+};
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const isThreshold = value => Number.isInteger(value) && value >= 0;
+
+// Devolve a lista de erros (vazia se a configuração for válida)
+function validateAlerts(config) {
+    if (!config || typeof config !== 'object') {
+        return ['o ficheiro deve ser um objeto com "threshold", "rules" e "channels"'];
+    }
+
+    const errors = [];
+    Object.keys(config).forEach(key => {
+        if (!CONFIG_KEYS.includes(key)) {
+            errors.push(`${key}: opção desconhecida (válidas: ${CONFIG_KEYS.join(', ')})`);
+        }
+    });
+    if (config.threshold !== undefined && !isThreshold(config.threshold)) {
+        errors.push('threshold: deve ser um número inteiro >= 0 (0 = só alertas de esgotado)');
+    }
+
+    (config.rules || []).forEach((rule, index) => {
+        const where = `rules[${index}]`;
+        Object.keys(rule || {}).forEach(key => {
+            if (!RULE_KEYS.includes(key)) {
+                errors.push(`${where}.${key}: opção desconhecida (válidas: ${RULE_KEYS.join(', ')})`);
+            }
+        });
+        if (!rule || (rule.product_id === undefined) === (rule.tag === undefined)) {
+            errors.push(`${where}: indica "product_id" ou "tag" (só um)`);
+        }
+        if (!isThreshold(rule?.threshold)) {
+            errors.push(`${where}.threshold: obrigatório, número inteiro >= 0`);
+        }
+    });
+
+    (config.channels || []).forEach((channel, index) => {
+        const where = `channels[${index}]${channel?.type ? ` (${channel.type})` : ''}`;
+        const keys = CHANNEL_KEYS[channel?.type];
+        if (!keys) {
+            errors.push(`${where}.type: deve ser um de ${Object.keys(CHANNEL_KEYS).join(', ')}`);
+            return;
+        }
+        Object.keys(channel).forEach(key => {
+            if (!keys.includes(key)) {
+                errors.push(`${where}.${key}: opção desconhecida (válidas: ${keys.join(', ')})`);
+            }
+        });
+        if (channel.events !== undefined && (!Array.isArray(channel.events)
+            || channel.events.some(type => !ALERT_TYPES[type]))) {
+            errors.push(`${where}.events: lista com ${Object.keys(ALERT_TYPES).join(', ')}`);
+        }
+        if (channel.type === 'webhook' && !channel.url === !channel.url_env) {
+            errors.push(`${where}: indica "url" ou "url_env" (variável de ambiente com o URL)`);
+        }
+        if (channel.type === 'webhook' && channel.url && !/^https?:\/\//.test(channel.url)) {
+            errors.push(`${where}.url: deve começar por http:// ou https://`);
+        }
+        if (channel.type === 'smtp') {
+            ['host', 'from', 'to'].forEach(key => {
+                if (!channel[key]) errors.push(`${where}.${key}: obrigatório`);
+            });
+            if (channel.port !== undefined && !Number.isInteger(channel.port)) {
+                errors.push(`${where}.port: deve ser um número`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+// Carregar e validar a configuração; lança um erro com todos os problemas encontrados
+function loadAlerts(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Alertas inválidos (${filePath}): ${error.message}`);
+    }
+
+    const errors = validateAlerts(config);
+    if (errors.length > 0) {
+        throw new Error(`Alertas inválidos (${filePath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        threshold: config.threshold ?? 0,
+        rules: config.rules || [],
+        channels: config.channels || []
+    };
+}
+
+// Limite de uma linha: regra do produto, senão a primeira regra de uma das suas tags, senão o global
+function getThreshold(config, row) {
+    const productRule = config.rules.find(rule => rule.product_id !== undefined
+        && [String(row.product_id), row.id].includes(String(rule.product_id)));
+    if (productRule) return productRule.threshold;
+
+    const tags = (row.tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    const tagRule = config.rules.find(rule => rule.tag !== undefined && tags.includes(rule.tag.toLowerCase()));
+    return tagRule ? tagRule.threshold : config.threshold;
+}
+
+// Nível de stock: esgotado, abaixo do limite ou normal (sem controlo de inventário: normal)
+function stockLevel(row, threshold) {
+    if (!isAvailable(row)) return 'out';
+    return row.stock !== null && row.stock < threshold ? 'low' : 'ok';
+}
+
+// Alerta para uma mudança de nível (null = nada a avisar)
+function alertType(before, level) {
+    if (level === 'out') return before === 'out' ? null : 'out_of_stock';
+    if (before === 'out') return 'back_in_stock';
+    return level === 'low' && before === 'ok' ? 'low_stock' : null;
+}
+
+// Comparar os níveis de stock com os da verificação anterior (previousLevels: { id: nível })
+// Só as mudanças de nível geram alertas, para o mesmo produto não avisar em todas as sincronizações;
+// sem níveis anteriores (primeira verificação) só se guardam os níveis atuais
+function detectStockAlerts(config, rows, previousLevels) {
+    const levels = {};
+    const events = [];
+    const recovered = [];
+
+    rows.forEach(row => {
+        const threshold = getThreshold(config, row);
+        const level = stockLevel(row, threshold);
+        levels[row.id] = level;
+        if (!previousLevels) return;
+
+        const before = previousLevels[row.id] || 'ok';
+        const type = alertType(before, level);
+        if (type) {
+            events.push({
+                type,
+                id: row.id,
+                product_id: row.product_id,
+                name: row.name,
+                sku: row.sku || '',
+                stock: row.stock,
+                threshold
+            });
+        } else if (level === 'ok' && before !== 'ok') {
+            recovered.push(row.id);
+        }
+    });
+
+    // Linhas que saíram do catálogo deixam de ter alertas pendentes
+    Object.keys(previousLevels || {}).forEach(id => {
+        if (!levels[id]) recovered.push(id);
+    });
+
+    return { events, levels, recovered };
+}
+
+// Silenciado até `until` (null = até ser reativado)
+function isMuted(mute, now = Date.now()) {
+    return !!mute && (!mute.until || new Date(mute.until).getTime() > now);
+}
+
+function formatAlert(alert) {
+    const limit = alert.type === 'low_stock' ? ` (limite ${alert.threshold})` : '';
+    return `${ALERT_TYPES[alert.type]}: ${alert.name} [${alert.id}] - ${alert.stock} unidades${limit}`;
+}
+
+const CHANNELS = {
+    async webhook(channel, alerts, { store }) {
+        const url = channel.url || process.env[channel.url_env];
+        if (!url) throw new Error(`variável ${channel.url_env} não definida`);
+        await axios.post(url, {
+            store,
+            text: alerts.map(formatAlert).join('\n'),
+            alerts
+        }, { timeout: WEBHOOK_TIMEOUT_MS });
+    },
+
+    async smtp(channel, alerts, { store }) {
+        const user = channel.user_env && process.env[channel.user_env];
+        const transport = nodemailer.createTransport({
+            host: channel.host,
+            port: channel.port || 587,
+            secure: channel.secure === true,
+            auth: user ? { user, pass: process.env[channel.pass_env] } : undefined
+        });
+        await transport.sendMail({
+            from: channel.from,
+            to: channel.to,
+            subject: `🔔 ${store.name}: ${alerts.length} alerta${alerts.length === 1 ? '' : 's'} de stock`,
+            text: alerts.map(formatAlert).join('\n')
+        });
+    },
+
+    async log(channel, alerts, { store, logFile }) {
+        // Caminhos relativos à pasta do projeto; sem "file", data/<loja>/alertas.log
+        const file = channel.file ? path.resolve(__dirname, '..', channel.file) : logFile;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const lines = alerts.map(alert => `${alert.created_at} [${store.id}] ${formatAlert(alert)}\n`);
+        fs.appendFileSync(file, lines.join(''));
+    }
+};
+
+// Enviar os alertas para todos os canais; uma falha num canal não impede os outros
+async function sendAlerts(channels, alerts, options) {
+    return Promise.all(channels.map(async channel => {
+        const selected = alerts.filter(alert => !channel.events || channel.events.includes(alert.type));
+        if (selected.length === 0) return { type: channel.type, sent: 0 };
+
+        try {
+            await CHANNELS[channel.type](channel, selected, options);
+            return { type: channel.type, sent: selected.length };
+        } catch (error) {
+            console.error(`❌ Erro ao enviar alertas (${channel.type}):`, error.message);
+            return { type: channel.type, sent: 0, error: error.message };
+        }
+    }));
+}
+
+module.exports = {
+    ALERT_TYPES,
+    loadAlerts,
+    validateAlerts,
+    getThreshold,
+    detectStockAlerts,
+    isMuted,
+    formatAlert,
+    sendAlerts
+};
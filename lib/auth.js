@@ -0,0 +1,241 @@
+// lib/auth.js - Autenticação (utilizadores locais + tokens de API) e papéis
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Cada papel inclui as permissões dos anteriores
+const ROLES = ['viewer', 'operator'];
+const SESSION_COOKIE = 'bastidor_session';
+const SCRYPT_KEYLEN = 64;
+
+// Sessões do dashboard em memória (token -> { username, role, expires })
+const sessions = new Map();
+
+// Logins falhados em memória ("ip:<ip>" / "login:<ip> <nome>" -> { count, blockedUntil, lastAt })
+// Contam sempre com o IP: falhas de outros IPs não bloqueiam o utilizador
+const loginFailures = new Map();
+// Tentativas livres antes da espera (por IP e utilizador, e por IP com vários utilizadores);
+// depois 1s, 2s, 4s... até ao máximo
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_FREE_ATTEMPTS_PER_IP = 20;
+const LOGIN_MAX_DELAY_MS = 15 * 60 * 1000;
+// Sem falhas durante este tempo, a contagem volta a zero
+const LOGIN_FAILURE_RESET_MS = 60 * 60 * 1000;
+
+// Hash de password no formato "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Os tokens de API são aleatórios e longos: basta um SHA-256 para os guardar
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Devolve a lista de erros (vazia se a configuração for válida)
+function validateAuthConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['o ficheiro deve conter um objeto JSON'];
+    }
+
+    const errors = [];
+    const users = config.users || [];
+    const tokens = config.tokens || [];
+
+    if (!Array.isArray(users)) errors.push('"users" deve ser uma lista');
+    if (!Array.isArray(tokens)) errors.push('"tokens" deve ser uma lista');
+    if (config.cors_origins !== undefined && !Array.isArray(config.cors_origins)) {
+        errors.push('"cors_origins" deve ser uma lista de origens');
+    }
+    if (config.session_hours !== undefined && !(config.session_hours > 0)) {
+        errors.push('"session_hours" deve ser um número positivo');
+    }
+    if (errors.length > 0) return errors;
+
+    users.forEach((user, index) => {
+        const where = `users[${index}]${user?.username ? ` (${user.username})` : ''}`;
+        if (!user?.username) errors.push(`${where}: "username" é obrigatório`);
+        if (!String(user?.password_hash || '').startsWith('scrypt$')) {
+            errors.push(`${where}: "password_hash" inválido (gera com npm run hash-password)`);
+        }
+        if (!ROLES.includes(user?.role)) {
+            errors.push(`${where}.role: deve ser um de ${ROLES.join(', ')}`);
+        }
+    });
+
+    tokens.forEach((token, index) => {
+        const where = `tokens[${index}]${token?.name ? ` (${token.name})` : ''}`;
+        if (!token?.name) errors.push(`${where}: "name" é obrigatório`);
+        if (!/^[a-f0-9]{64}$/.test(token?.token_hash || '')) {
+            errors.push(`${where}: "token_hash" inválido (gera com npm run create-token)`);
+        }
+        if (!ROLES.includes(token?.role)) {
+            errors.push(`${where}.role: deve ser um de ${ROLES.join(', ')}`);
+        }
+    });
+
+    return errors;
+}
+
+// Carregar e validar a configuração; lança um erro com todos os problemas encontrados
+function loadAuthConfig(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Configuração de autenticação inválida (${filePath}): ${error.message}`);
+    }
+
+    const errors = validateAuthConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Configuração de autenticação inválida (${filePath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        users: config.users || [],
+        tokens: config.tokens || [],
+        corsOrigins: config.cors_origins || [],
+        sessionHours: config.session_hours || 12
+    };
+}
+
+// Validar utilizador/password; devolve o utilizador ou null
+function authenticateUser(authConfig, username, password) {
+    const user = authConfig.users.find(u => u.username === username);
+    if (!user || !verifyPassword(password || '', user.password_hash)) return null;
+    return { username: user.username, role: user.role };
+}
+
+function loginFailureKeys(ip, username) {
+    return [
+        { key: `login:${ip} ${String(username || '').toLowerCase()}`, free: LOGIN_FREE_ATTEMPTS },
+        { key: `ip:${ip}`, free: LOGIN_FREE_ATTEMPTS_PER_IP }
+    ];
+}
+
+// Milissegundos até se poder tentar outra vez o login deste utilizador a partir deste IP (0 = pode tentar)
+function loginRetryAfter(ip, username) {
+    const now = Date.now();
+    return Math.max(0, ...loginFailureKeys(ip, username)
+        .map(({ key }) => (loginFailures.get(key)?.blockedUntil || 0) - now));
+}
+
+// Registar um login falhado; devolve a espera até à próxima tentativa (ms)
+function recordLoginFailure(ip, username) {
+    const now = Date.now();
+    loginFailures.forEach((entry, key) => {
+        if (now - entry.lastAt > LOGIN_FAILURE_RESET_MS) loginFailures.delete(key);
+    });
+
+    return Math.max(...loginFailureKeys(ip, username).map(({ key, free }) => {
+        const count = (loginFailures.get(key)?.count || 0) + 1;
+        const delay = count > free ? Math.min(1000 * 2 ** (count - free - 1), LOGIN_MAX_DELAY_MS) : 0;
+        loginFailures.set(key, { count, blockedUntil: now + delay, lastAt: now });
+        return delay;
+    }));
+}
+
+// Login certo: esquecer as falhas deste utilizador a partir deste IP
+function clearLoginFailures(ip, username) {
+    loginFailures.delete(loginFailureKeys(ip, username)[0].key);
+}
+
+function createSession(authConfig, user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { ...user, expires: Date.now() + authConfig.sessionHours * 3600 * 1000 });
+    return token;
+}
+
+function destroySession(token) {
+    sessions.delete(token);
+}
+
+// Cookies mal codificados (ex: de outra app no mesmo domínio) são ignorados em vez de partir o pedido
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // URIError: saltar este par
+        }
+    });
+    return cookies;
+}
+
+// Middleware: identificar o utilizador pela sessão (cookie) ou por token de API (Bearer)
+function authenticate(authConfig) {
+    return (req, res, next) => {
+        req.user = null;
+
+        const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+        if (bearer) {
+            const tokenHash = hashToken(bearer[1].trim());
+            const token = authConfig.tokens.find(t => t.token_hash === tokenHash);
+            if (token) {
+                req.user = { username: `token:${token.name}`, role: token.role };
+            }
+            return next();
+        }
+
+        const sessionToken = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+        const session = sessionToken && sessions.get(sessionToken);
+        if (session && session.expires > Date.now()) {
+            req.user = { username: session.username, role: session.role };
+            req.sessionToken = sessionToken;
+        } else if (session) {
+            sessions.delete(sessionToken);
+        }
+        next();
+    };
+}
+
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Middleware: exigir um papel mínimo (API responde 401/403, páginas redirecionam para /login)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (hasRole(req.user, role)) return next();
+
+        if (!req.user) {
+            // originalUrl: dentro de um router o req.path perde o prefixo /api
+            if (req.method === 'GET' && !req.originalUrl.startsWith('/api/') && req.accepts('html')) {
+                return res.redirect('/login');
+            }
+            return res.status(401).json({ error: 'Autenticação necessária' });
+        }
+        res.status(403).json({ error: `Permissão insuficiente (necessário: ${role})` });
+    };
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    loadAuthConfig,
+    authenticateUser,
+    loginRetryAfter,
+    recordLoginFailure,
+    clearLoginFailures,
+    createSession,
+    destroySession,
+    authenticate,
+    hasRole,
+    requireRole
+};
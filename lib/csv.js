@@ -0,0 +1,32 @@
+// lib/csv.js - Escrita de CSV segundo o RFC 4180
+
+const CSV_CONFIG = {
+    // Ex: ';' para o Excel em português
+    delimiter: process.env.CSV_DELIMITER || ',',
+    // BOM UTF-8 para o Excel reconhecer os acentos
+    bom: process.env.CSV_BOM === 'true'
+};
+
+// Pôr entre aspas só quando é preciso, duplicando as aspas internas
+function escapeField(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+
+    const needsQuotes = text.includes(delimiter)
+        || /["\r\n]/.test(text)
+        || text !== text.trim();
+
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Gerar o CSV completo (linhas terminadas em CRLF)
+function toCSV(headers, rows, options = {}) {
+    const { delimiter, bom } = { ...CSV_CONFIG, ...options };
+    const lines = [headers, ...rows].map(row =>
+        row.map(field => escapeField(field, delimiter)).join(delimiter)
+    );
+
+    return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { CSV_CONFIG, escapeField, toCSV };
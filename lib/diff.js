@@ -0,0 +1,68 @@
+// lib/diff.js - Comparar o catálogo novo com o da sincronização anterior
+const { getPriceAmount } = require('./markets');
+const { isAvailable } = require('./inventory');
+
+// Resumo leve de uma linha para o relatório
+function summarize(product) {
+    return { id: product.id, name: product.name, sku: product.sku };
+}
+
+// Calcular o que mudou entre dois snapshots de produtos formatados
+function computeSyncDiff(previousProducts, currentProducts) {
+    const previous = new Map(previousProducts.map(p => [p.id, p]));
+    const current = new Map(currentProducts.map(p => [p.id, p]));
+
+    // Linhas novas ou com qualquer campo diferente (para o CSV delta), como no setProducts do store
+    const changedIds = [];
+
+    const diff = {
+        added: [],
+        removed: [],
+        price_changed: [],
+        stock_changed: [],
+        out_of_stock: [],
+        description_changed: []
+    };
+
+    current.forEach((product, id) => {
+        const old = previous.get(id);
+        if (!old) {
+            diff.added.push(summarize(product));
+            changedIds.push(id);
+            return;
+        }
+        if (JSON.stringify(old) !== JSON.stringify(product)) {
+            changedIds.push(id);
+        }
+
+        // Comparar valores: uma mudança só no formato do preço não conta
+        if (getPriceAmount(old) !== getPriceAmount(product)) {
+            diff.price_changed.push({ ...summarize(product), old: old.price, new: product.price });
+        }
+        if (old.stock !== product.stock) {
+            diff.stock_changed.push({ ...summarize(product), old: old.stock, new: product.stock });
+        }
+        if (isAvailable(old) && !isAvailable(product)) {
+            diff.out_of_stock.push(summarize(product));
+        }
+        if (old.description !== product.description) {
+            diff.description_changed.push(summarize(product));
+        }
+    });
+
+    previous.forEach((product, id) => {
+        if (!current.has(id)) {
+            diff.removed.push(summarize(product));
+        }
+    });
+
+    diff.summary = Object.fromEntries(
+        Object.entries(diff).map(([key, rows]) => [key, rows.length])
+    );
+
+    diff.changed_ids = changedIds;
+
+    return diff;
+}
+
+module.exports = { computeSyncDiff };
@@ -0,0 +1,153 @@
+// lib/exports.js - Versões das exportações: cada geração numa pasta própria, trocada atomicamente
+const fs = require('fs');
+const path = require('path');
+
+const EXPORTS_KEEP = parseInt(process.env.EXPORTS_KEEP, 10) || 10;
+// Versões dos webhooks e das alterações manuais, contadas à parte para um dia de edições
+// não apagar as versões das sincronizações (voltar ao catálogo de ontem)
+const EXPORTS_KEEP_UPDATES = parseInt(process.env.EXPORTS_KEEP_UPDATES, 10) || 20;
+const VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}T[\d-]+Z$/;
+
+// Escrever para um temporário e renomear (o rename é atómico)
+function writeFileAtomic(filePath, content) {
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, filePath);
+}
+
+// Gerir as versões de uma loja em exportsDir: mantém as últimas `keep` das sincronizações e as
+// últimas `keepUpdates` das outras origens (webhooks, alterações manuais)
+function createExportVersions(exportsDir, { keep = EXPORTS_KEEP, keepUpdates = EXPORTS_KEEP_UPDATES } = {}) {
+    const currentFile = path.join(exportsDir, 'current.json');
+    let currentVersion = null;
+    // Última data/hora usada num nome de versão (as versões seguintes têm sempre um nome maior)
+    let lastStamp = 0;
+
+    function ensureDir() {
+        if (!fs.existsSync(exportsDir)) {
+            fs.mkdirSync(exportsDir, { recursive: true });
+        }
+    }
+
+    // Ler a versão atual guardada (chamado no arranque)
+    function loadExports() {
+        try {
+            if (fs.existsSync(currentFile)) {
+                currentVersion = JSON.parse(fs.readFileSync(currentFile, 'utf8')).version;
+            }
+        } catch (error) {
+            console.error('❌ Erro ao ler a versão atual das exportações:', error.message);
+            currentVersion = null;
+        }
+        return currentVersion;
+    }
+
+    function getVersionDir(version) {
+        if (!VERSION_PATTERN.test(version || '')) return null;
+        const dir = path.join(exportsDir, version);
+        return fs.existsSync(path.join(dir, 'manifest.json')) ? dir : null;
+    }
+
+    function getCurrentVersion() {
+        return currentVersion;
+    }
+
+    function getCurrentDir() {
+        return currentVersion ? getVersionDir(currentVersion) : null;
+    }
+
+    function readManifest(version) {
+        const dir = getVersionDir(version);
+        return dir ? JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8')) : null;
+    }
+
+    // Versões disponíveis, da mais recente para a mais antiga
+    function listVersions() {
+        if (!fs.existsSync(exportsDir)) return [];
+        return fs.readdirSync(exportsDir)
+            .filter(name => VERSION_PATTERN.test(name))
+            .sort()
+            .reverse()
+            .map(readManifest)
+            .filter(Boolean)
+            .map(manifest => ({ ...manifest, current: manifest.version === currentVersion }));
+    }
+
+    // Apontar a versão atual para outra pasta
+    function setCurrentVersion(version) {
+        ensureDir();
+        writeFileAtomic(currentFile, JSON.stringify({ version, switched_at: new Date().toISOString() }));
+        currentVersion = version;
+    }
+
+    // Apagar as versões mais antigas de cada grupo (sincronizações / outras origens), sempre sem a atual
+    // Versões sem "source" (de antes dos webhooks) contam como sincronizações
+    function pruneVersions() {
+        const versions = listVersions();
+        const isSync = manifest => !manifest.source || manifest.source === 'sync';
+        [
+            versions.filter(isSync).slice(keep),
+            versions.filter(manifest => !isSync(manifest)).slice(keepUpdates)
+        ].flat()
+            .filter(manifest => !manifest.current)
+            .forEach(manifest => {
+                fs.rmSync(path.join(exportsDir, manifest.version), { recursive: true, force: true });
+            });
+    }
+
+    // Criar uma nova versão com os ficheiros dados ({ nome: conteúdo }) e torná-la a atual
+    function publishVersion(files, meta = {}) {
+        ensureDir();
+
+        // Nome da versão = data/hora (ex: 2026-01-31T08-00-00-000Z), sem repetir nem voltar atrás:
+        // versões seguidas no mesmo milissegundo avançam 1ms, e o nome de uma já apagada não se reutiliza
+        let stamp = Math.max(Date.now(), lastStamp + 1);
+        const versionName = time => new Date(time).toISOString().replace(/[:.]/g, '-');
+        while (fs.existsSync(path.join(exportsDir, versionName(stamp)))) {
+            stamp++;
+        }
+        const version = versionName(stamp);
+        lastStamp = stamp;
+
+        // Tudo numa pasta temporária; só depois de completa passa a ter o nome final
+        const tmpDir = path.join(exportsDir, `${version}.tmp`);
+        fs.mkdirSync(tmpDir);
+        Object.entries(files).forEach(([name, content]) => {
+            fs.writeFileSync(path.join(tmpDir, name), content);
+        });
+
+        const manifest = {
+            version,
+            created_at: new Date().toISOString(),
+            files: Object.keys(files),
+            ...meta
+        };
+        fs.writeFileSync(path.join(tmpDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        fs.renameSync(tmpDir, path.join(exportsDir, version));
+
+        setCurrentVersion(version);
+        pruneVersions();
+        return manifest;
+    }
+
+    // Voltar a pôr uma versão anterior como atual
+    function restoreVersion(version) {
+        const manifest = readManifest(version);
+        if (!manifest) return null;
+        setCurrentVersion(version);
+        return manifest;
+    }
+
+    return {
+        loadExports,
+        listVersions,
+        getVersionDir,
+        getCurrentVersion,
+        getCurrentDir,
+        readManifest,
+        publishVersion,
+        restoreVersion
+    };
+}
+
+module.exports = { createExportVersions };
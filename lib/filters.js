@@ -0,0 +1,148 @@
+// lib/filters.js - Regras de inclusão/exclusão de produtos (config/filters.json)
+const fs = require('fs');
+const { resolveVariantStock } = require('./inventory');
+
+// Valores de cada produto Shopify que as regras podem testar
+const FILTER_FIELDS = {
+    status: product => product.status || 'active',
+    published: product => !!product.published_at,
+    tags: product => (product.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    // Handles das coleções (só com a leitura pela API GraphQL)
+    collections: product => (product.collections || []).map(collection => collection.handle),
+    product_type: product => product.product_type || '',
+    vendor: product => product.vendor || '',
+    // Stock total de todas as variantes (nas localizações escolhidas)
+    stock: product => (product.variants || []).reduce((sum, v) => sum + (resolveVariantStock(v).stock || 0), 0),
+    // Preços das variantes (basta uma dentro da gama)
+    price: product => (product.variants || []).map(v => parseFloat(v.price || 0))
+};
+const CONDITIONS = ['include', 'exclude', 'min', 'max', 'equals'];
+const RULE_KEYS = ['name', 'field', 'enabled', ...CONDITIONS];
+
+// Devolve a lista de erros (vazia se as regras forem válidas)
+function validateFilters(config) {
+    if (!config || !Array.isArray(config.rules)) {
+        return ['o ficheiro deve ter uma lista "rules"'];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    config.rules.forEach((rule, index) => {
+        const where = `rules[${index}]${rule?.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${where}: a regra deve ser um objeto`);
+            return;
+        }
+
+        Object.keys(rule).forEach(key => {
+            if (!RULE_KEYS.includes(key)) {
+                errors.push(`${where}.${key}: opção desconhecida (válidas: ${RULE_KEYS.join(', ')})`);
+            }
+        });
+
+        if (typeof rule.name !== 'string' || !rule.name) {
+            errors.push(`${where}: "name" é obrigatório`);
+        } else if (names.has(rule.name)) {
+            errors.push(`${where}: nome repetido`);
+        }
+        names.add(rule.name);
+
+        if (!FILTER_FIELDS[rule.field]) {
+            errors.push(`${where}.field: "${rule.field}" não existe (válidos: ${Object.keys(FILTER_FIELDS).join(', ')})`);
+        }
+        if (!CONDITIONS.some(key => key in rule)) {
+            errors.push(`${where}: indica pelo menos uma condição (${CONDITIONS.join(', ')})`);
+        }
+        ['include', 'exclude'].forEach(key => {
+            if (key in rule && !Array.isArray(rule[key])) {
+                errors.push(`${where}.${key}: deve ser uma lista`);
+            }
+        });
+        ['min', 'max'].forEach(key => {
+            if (key in rule && typeof rule[key] !== 'number') {
+                errors.push(`${where}.${key}: deve ser um número`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// Carregar e validar as regras; lança um erro com todos os problemas encontrados
+function loadFilters(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Filtros inválidos (${filePath}): ${error.message}`);
+    }
+
+    const errors = validateFilters(config);
+    if (errors.length > 0) {
+        throw new Error(`Filtros inválidos (${filePath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return config.rules.filter(rule => rule.enabled !== false);
+}
+
+// Testar uma regra; devolve o motivo da exclusão ou null
+function checkRule(rule, product) {
+    const value = FILTER_FIELDS[rule.field](product);
+    const values = Array.isArray(value) ? value : [value];
+    const normalized = values.map(v => String(v).toLowerCase());
+    const inList = list => list.some(item => normalized.includes(String(item).toLowerCase()));
+
+    if (rule.include && !inList(rule.include)) {
+        return `${rule.field} "${values.join(', ')}" não está em [${rule.include.join(', ')}]`;
+    }
+    if (rule.exclude && inList(rule.exclude)) {
+        return `${rule.field} contém um valor excluído [${rule.exclude.join(', ')}]`;
+    }
+    if ('equals' in rule && value !== rule.equals) {
+        return `${rule.field} é ${value}, esperado ${rule.equals}`;
+    }
+    if ('min' in rule || 'max' in rule) {
+        const min = rule.min ?? -Infinity;
+        const max = rule.max ?? Infinity;
+        if (!values.some(v => v >= min && v <= max)) {
+            return `${rule.field} ${values.join(', ')} fora da gama [${rule.min ?? ''}..${rule.max ?? ''}]`;
+        }
+    }
+    return null;
+}
+
+// Primeira regra que exclui o produto, ou null se for incluído
+function evaluateProduct(rules, product) {
+    for (const rule of rules) {
+        const reason = checkRule(rule, product);
+        if (reason) {
+            return { product_id: product.id, title: product.title, rule: rule.name, reason };
+        }
+    }
+    return null;
+}
+
+// Separar os produtos incluídos dos excluídos (com a regra que os excluiu)
+function applyFilters(rules, shopifyProducts) {
+    const included = [];
+    const excluded = [];
+
+    shopifyProducts.forEach(product => {
+        const exclusion = evaluateProduct(rules, product);
+        if (exclusion) {
+            excluded.push(exclusion);
+        } else {
+            included.push(product);
+        }
+    });
+
+    return { included, excluded };
+}
+
+module.exports = {
+    loadFilters,
+    validateFilters,
+    evaluateProduct,
+    applyFilters
+};
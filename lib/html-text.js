@@ -0,0 +1,147 @@
+// lib/html-text.js - Converter o HTML das descrições em texto simples para o WhatsApp
+const he = require('he');
+
+// Tags que começam/acabam um bloco (linha nova)
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'blockquote', 'pre', 'table',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'dl', 'dt', 'dd', 'hr'
+]);
+// Formatação do WhatsApp: *negrito*, _itálico_, ~riscado~
+const MARKUP_TAGS = {
+    b: '*', strong: '*',
+    i: '_', em: '_',
+    s: '~', strike: '~', del: '~'
+};
+// Conteúdo que nunca é texto visível
+const SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'template', 'noscript']);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b[^>]*?(\/?)>|[^<]+|</g;
+
+// Converter HTML em texto: entidades descodificadas, parágrafos e listas em linhas,
+// negrito/itálico em markup do WhatsApp (markup: false para texto sem formatação)
+function htmlToText(html, { markup = true } = {}) {
+    if (!html) return '';
+
+    let out = '';
+    const lists = []; // { ordered, counter } por cada <ul>/<ol> aberto
+    const open = []; // Formatação aberta: { tag, start }
+    let skipping = null;
+
+    const newline = (count = 1) => {
+        out = out.replace(/[ \t]+$/, '');
+        const existing = out.match(/\n*$/)[0].length;
+        if (out && existing < count) out += '\n'.repeat(count - existing);
+    };
+
+    for (const [token, closing, rawTag, selfClosing] of html.matchAll(TOKEN_PATTERN)) {
+        if (token.startsWith('<!--')) continue;
+        const tag = rawTag && rawTag.toLowerCase();
+
+        if (skipping) {
+            if (tag === skipping && closing) skipping = null;
+            continue;
+        }
+
+        if (!tag) {
+            // Texto: espaços seguidos contam como um, como no browser
+            const text = he.decode(token).replace(/\s+/g, ' ');
+            out += /[ \n]$/.test(out) || !out ? text.replace(/^ /, '') : text;
+            continue;
+        }
+
+        if (SKIPPED_TAGS.has(tag) && !closing && !selfClosing) {
+            skipping = tag;
+        } else if (tag === 'br' || tag === 'tr') {
+            newline();
+        } else if (tag === 'li' && !closing) {
+            newline();
+            const list = lists[lists.length - 1];
+            const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+            out += list?.ordered ? `${indent}${++list.counter}. ` : `${indent}• `;
+        } else if (tag === 'li') {
+            newline();
+        } else if (tag === 'ul' || tag === 'ol') {
+            if (closing) {
+                lists.pop();
+                if (lists.length === 0) newline(2);
+            } else {
+                if (lists.length === 0) newline(2);
+                lists.push({ ordered: tag === 'ol', counter: 0 });
+            }
+        } else if (BLOCK_TAGS.has(tag)) {
+            newline(2);
+        } else if (tag === 'td' || tag === 'th') {
+            if (closing) out += ' ';
+        } else if (MARKUP_TAGS[tag] && markup) {
+            if (!closing) {
+                open.push({ tag, start: out.length });
+            } else {
+                const index = open.map(entry => entry.tag).lastIndexOf(tag);
+                if (index !== -1) {
+                    const { start } = open.splice(index)[0];
+                    out = out.slice(0, start) + wrapMarkup(out.slice(start), MARKUP_TAGS[tag]);
+                }
+            }
+        }
+    }
+
+    return out
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// O WhatsApp só formata se os marcadores estiverem colados ao texto: "*texto* " e não "*texto *"
+function wrapMarkup(segment, marker) {
+    const [, before, core, after] = segment.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return segment;
+    // Já formatado (ex: <b><strong>x</strong></b>)
+    if (core.startsWith(marker) && core.endsWith(marker)) return segment;
+    return `${before}${marker}${core}${marker}${after}`;
+}
+
+// Posição de um marcador (ex: "*") aberto e nunca fechado no texto, ou -1
+// Como no WhatsApp, só conta no início de uma palavra e colado ao texto ("*negrito", não "ABC_1")
+function unclosedMarker(text, marker) {
+    const escaped = `\\${marker}`;
+    let last = -1;
+    for (const match of text.matchAll(new RegExp(`(^|[\\s(])${escaped}(?=\\S)`, 'g'))) {
+        last = match.index + match[1].length;
+    }
+    if (last === -1) return -1;
+    const closing = new RegExp(`\\S${escaped}(?=$|[\\s.,;:!?)])`);
+    return closing.test(text.slice(last + 1)) ? -1 : last;
+}
+
+// Cortar o texto em max caracteres visíveis (grafemas, para não partir emojis),
+// no fim de uma palavra e com reticências
+function truncateText(text, max) {
+    if (!text) return '';
+    // Só os primeiros max + 1 grafemas: as descrições podem ser enormes
+    const graphemes = [];
+    for (const { segment } of new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text)) {
+        graphemes.push(segment);
+        if (graphemes.length > max) break;
+    }
+    if (graphemes.length <= max) return text;
+
+    let kept = graphemes.slice(0, Math.max(max - 1, 0));
+    // Voltar ao último espaço, se não perder demasiado texto (contado em grafemas, como o max)
+    const lastSpace = kept.findLastIndex(part => /^\s+$/.test(part));
+    if (lastSpace > max * 0.6) {
+        kept = kept.slice(0, lastSpace);
+    }
+    let cut = kept.join('').replace(/[\s.,;:!?\-–—]+$/, '');
+
+    // Não deixar um *negrito* aberto (o WhatsApp mostraria o asterisco)
+    ['*', '_', '~'].forEach(marker => {
+        const index = unclosedMarker(cut, marker);
+        if (index !== -1) {
+            cut = cut.slice(0, index) + cut.slice(index + 1);
+        }
+    });
+
+    return `${cut.trimEnd()}…`;
+}
+
+module.exports = { htmlToText, truncateText };
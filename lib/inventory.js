@@ -0,0 +1,25 @@
+// lib/inventory.js - Stock das variantes por localização (InventoryLevels) e disponibilidade
+
+// Stock e disponibilidade de uma variante do Shopify
+// location_stock: soma do "available" nas localizações escolhidas (ver fetchInventoryLevels)
+// - sem controlo de inventário (inventory_management vazio): stock null, sempre disponível
+// - inventory_policy "continue": continua a vender sem stock, por isso está disponível
+function resolveVariantStock(variant) {
+    if (variant.inventory_item_id && !variant.inventory_management) {
+        return { stock: null, available: true };
+    }
+
+    // inventory_quantity (soma de todas as localizações) só para variantes sem níveis carregados
+    const stock = variant.location_stock ?? variant.inventory_quantity ?? 0;
+    return {
+        stock,
+        available: stock > 0 || variant.inventory_policy === 'continue'
+    };
+}
+
+// Linha do catálogo disponível para encomenda (linhas guardadas antes disto só têm o stock)
+function isAvailable(row) {
+    return row.available ?? row.stock > 0;
+}
+
+module.exports = { resolveVariantStock, isAvailable };
@@ -0,0 +1,148 @@
+// lib/jobs.js - Fila de execução "single-flight": só corre um trabalho de cada vez
+
+// Trabalhos recentes cujo progresso fica em memória (para quem abre /events depois de começar)
+const PROGRESS_KEEP = 20;
+
+// store: dados da loja onde fica o histórico (ver lib/store.js)
+// runJob(job, progress) deve devolver { success, error?, ... } (o resultado da sincronização);
+// progress(event) envia um evento de progresso a quem está a acompanhar o trabalho
+function createJobQueue(store, runJob) {
+    // Trabalhos ({ job, resolve, done }) e tarefas internas ({ task, resolve, reject }) por ordem de chegada
+    const queue = [];
+    let running = null;
+    let busy = false;
+    // id do trabalho -> { events, listeners }; o progresso não vai para o histórico em disco
+    const progressByJob = new Map();
+
+    function emit(job, event) {
+        const progress = progressByJob.get(job.id);
+        if (!progress) return;
+        // seq: número do evento no trabalho (o id do SSE, para retomar sem repetir)
+        const entry = { ...event, job_id: job.id, seq: progress.events.length + 1, at: new Date().toISOString() };
+        progress.events.push(entry);
+        progress.listeners.forEach(listener => {
+            // Um erro de quem acompanha (ex: ligação fechada) não pode parar o trabalho
+            try {
+                listener(entry);
+            } catch (error) {
+                console.error(`❌ Erro ao enviar progresso do trabalho #${job.id}:`, error.message);
+            }
+        });
+    }
+
+    function trackProgress(job) {
+        progressByJob.set(job.id, { events: [], listeners: new Set() });
+        [...progressByJob.keys()].slice(0, -PROGRESS_KEEP).forEach(id => progressByJob.delete(id));
+    }
+
+    // Acompanhar um trabalho: devolve os eventos anteriores e chama listener com os seguintes
+    // (null se o trabalho não tem progresso em memória, ex: de antes de um reinício)
+    function subscribe(jobId, listener) {
+        const progress = progressByJob.get(jobId);
+        if (!progress) return null;
+        progress.listeners.add(listener);
+        return {
+            events: [...progress.events],
+            unsubscribe: () => progress.listeners.delete(listener)
+        };
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes);
+        store.saveJobRecord(job);
+    }
+
+    async function processQueue() {
+        if (busy || queue.length === 0) return;
+
+        const entry = queue.shift();
+        busy = true;
+        if (entry.task) {
+            try {
+                entry.resolve(await entry.task());
+            } catch (error) {
+                entry.reject(error);
+            } finally {
+                busy = false;
+                processQueue();
+            }
+            return;
+        }
+
+        const { job, resolve } = entry;
+        running = job;
+        const started = Date.now();
+        update(job, { status: 'running', started_at: new Date(started).toISOString() });
+        emit(job, { type: 'status', status: 'running' });
+
+        try {
+            const result = await runJob(job, event => emit(job, { type: 'progress', ...event }));
+            update(job, {
+                status: result.success ? 'success' : 'failed',
+                result,
+                error: result.success ? null : result.error || 'Erro desconhecido'
+            });
+        } catch (error) {
+            console.error(`❌ Trabalho #${job.id} falhou:`, error.message);
+            update(job, { status: 'failed', result: null, error: error.message });
+        } finally {
+            const finished = Date.now();
+            update(job, { finished_at: new Date(finished).toISOString(), duration_ms: finished - started });
+            emit(job, { type: 'done', status: job.status, result: job.result, error: job.error });
+            running = null;
+            busy = false;
+            resolve(job);
+            processQueue();
+        }
+    }
+
+    // Pôr um trabalho na fila; se já houver um à espera, junta-se a esse
+    function enqueue(trigger, triggeredBy = null) {
+        const waiting = [...queue].reverse().find(entry => entry.job);
+        if (waiting) {
+            console.log(`⏭️ Já existe uma sincronização na fila (#${waiting.job.id}), pedido "${trigger}" agrupado`);
+            return { job: waiting.job, done: waiting.done };
+        }
+
+        const job = {
+            id: store.nextJobId(),
+            trigger,
+            triggered_by: triggeredBy,
+            status: 'queued',
+            queued_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null,
+            duration_ms: null,
+            result: null,
+            error: null
+        };
+        store.saveJobRecord(job);
+        trackProgress(job);
+
+        let resolve;
+        const done = new Promise(r => { resolve = r; });
+        queue.push({ job, resolve, done });
+        processQueue();
+
+        return { job, done };
+    }
+
+    // Correr uma tarefa interna (ex: aplicar um webhook ou regenerar os ficheiros) na vez dela na fila,
+    // nunca ao mesmo tempo que uma sincronização; não fica no histórico. Devolve o resultado da tarefa
+    function runExclusive(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            processQueue();
+        });
+    }
+
+    return {
+        enqueue,
+        runExclusive,
+        subscribe,
+        getRunning: () => running,
+        getQueued: () => queue.filter(entry => entry.job).map(entry => entry.job)
+    };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,173 @@
+// lib/mapping.js - Mapeamento configurável dos campos do catálogo (config/mapping.json)
+const fs = require('fs');
+const { truncateText } = require('./html-text');
+
+// Campos calculados pelo código, que o mapeamento não pode substituir
+const RESERVED_FIELDS = [
+    'id', 'product_id', 'variant_id', 'item_group_id', 'variant_title', 'options',
+    'price', 'price_amount', 'currency', 'stock', 'available', 'availability', 'image_url', 'additional_images',
+    'updated_at', 'markets'
+];
+const RULE_KEYS = ['source', 'template', 'transform', 'truncate', 'default', 'lookup'];
+const LABEL_KEYS = ['in_stock', 'out_of_stock'];
+
+// Ler um caminho tipo "product.vendor" ou "metafields.custom.material"
+function getPath(context, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+// Substituir {{caminho}} pelos valores do contexto
+function renderTemplate(template, context) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, dottedPath) => {
+        const value = getPath(context, dottedPath);
+        return value == null ? '' : String(value);
+    });
+}
+
+// Devolve a lista de erros (vazia se o mapeamento for válido)
+function validateMapping(config, transforms) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['o ficheiro deve conter um objeto JSON'];
+    }
+
+    const lookups = config.lookups || {};
+    if (typeof lookups !== 'object' || Array.isArray(lookups)) {
+        errors.push('"lookups" deve ser um objeto de tabelas');
+    }
+
+    const labels = config.labels || {};
+    Object.keys(labels).forEach(key => {
+        if (!LABEL_KEYS.includes(key)) {
+            errors.push(`labels.${key}: etiqueta desconhecida (válidas: ${LABEL_KEYS.join(', ')})`);
+        } else if (typeof labels[key] !== 'string') {
+            errors.push(`labels.${key}: deve ser texto`);
+        }
+    });
+
+    if (!config.fields || typeof config.fields !== 'object' || Array.isArray(config.fields)) {
+        errors.push('"fields" é obrigatório e deve ser um objeto');
+        return errors;
+    }
+
+    Object.entries(config.fields).forEach(([field, rule]) => {
+        const where = `fields.${field}`;
+        if (RESERVED_FIELDS.includes(field)) {
+            errors.push(`${where}: campo reservado, calculado pelo sistema`);
+            return;
+        }
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            errors.push(`${where}: a regra deve ser um objeto`);
+            return;
+        }
+
+        Object.keys(rule).forEach(key => {
+            if (!RULE_KEYS.includes(key)) {
+                errors.push(`${where}.${key}: opção desconhecida (válidas: ${RULE_KEYS.join(', ')})`);
+            }
+        });
+
+        const hasSource = typeof rule.source === 'string' && rule.source !== '';
+        const hasTemplate = typeof rule.template === 'string';
+        if (hasSource === hasTemplate) {
+            errors.push(`${where}: indica exatamente um de "source" ou "template"`);
+        }
+        if (rule.transform !== undefined && !transforms[rule.transform]) {
+            errors.push(`${where}.transform: "${rule.transform}" não existe (válidos: ${Object.keys(transforms).join(', ')})`);
+        }
+        if (rule.truncate !== undefined && !(Number.isInteger(rule.truncate) && rule.truncate > 0)) {
+            errors.push(`${where}.truncate: deve ser um inteiro positivo`);
+        }
+        if (rule.default !== undefined && typeof rule.default !== 'string') {
+            errors.push(`${where}.default: deve ser texto`);
+        }
+        if (rule.lookup !== undefined) {
+            const isTableName = typeof rule.lookup === 'string';
+            if (isTableName && !lookups[rule.lookup]) {
+                errors.push(`${where}.lookup: tabela "${rule.lookup}" não existe em "lookups"`);
+            } else if (!isTableName && (typeof rule.lookup !== 'object' || Array.isArray(rule.lookup))) {
+                errors.push(`${where}.lookup: deve ser o nome de uma tabela ou um objeto`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+// Carregar e validar o mapeamento; lança um erro com todos os problemas encontrados
+function loadMapping(filePath, transforms) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Mapeamento inválido (${filePath}): ${error.message}`);
+    }
+
+    const errors = validateMapping(config, transforms);
+    if (errors.length > 0) {
+        throw new Error(`Mapeamento inválido (${filePath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        fields: config.fields,
+        labels: { in_stock: 'Em stock', out_of_stock: 'Sem stock', ...config.labels },
+        lookups: config.lookups || {},
+        transforms
+    };
+}
+
+// O mapeamento usa metafields? (obriga a pedidos extra ao Shopify)
+function usesMetafields(mapping) {
+    return Object.values(mapping.fields).some(rule =>
+        (rule.source || rule.template || '').includes('metafields.')
+    );
+}
+
+// Calcular os campos mapeados para um produto/variante
+function applyMapping(mapping, context) {
+    const output = {};
+
+    Object.entries(mapping.fields).forEach(([field, rule]) => {
+        let value = rule.template !== undefined
+            ? renderTemplate(rule.template, context)
+            : getPath(context, rule.source);
+        value = value == null ? '' : String(value);
+
+        if (rule.transform) {
+            value = mapping.transforms[rule.transform](value);
+        }
+        if (rule.lookup) {
+            const table = typeof rule.lookup === 'string' ? mapping.lookups[rule.lookup] : rule.lookup;
+            value = table[value] || '';
+        }
+        if (!value && rule.default !== undefined) {
+            value = rule.default;
+        }
+        if (rule.truncate) {
+            // Sem partir palavras nem emojis, com reticências
+            value = truncateText(value, rule.truncate);
+        }
+
+        output[field] = value;
+    });
+
+    return output;
+}
+
+// Metafields do Shopify em objeto aninhado: { custom: { material: 'Madeira' } }
+function metafieldsToObject(metafields) {
+    const result = {};
+    (metafields || []).forEach(({ namespace, key, value }) => {
+        result[namespace] = result[namespace] || {};
+        result[namespace][key] = value;
+    });
+    return result;
+}
+
+module.exports = {
+    loadMapping,
+    validateMapping,
+    applyMapping,
+    usesMetafields,
+    metafieldsToObject
+};
@@ -0,0 +1,150 @@
+// lib/markets.js - Mercados do catálogo: moeda, formato dos números e idioma (config/markets.json)
+const fs = require('fs');
+
+const MARKET_KEYS = [
+    'id', 'locale', 'currency', 'country', 'language', 'prices', 'rate', 'storefront_url', 'labels'
+];
+// base: preço do Shopify tal como está; shopify: preço do mercado (price lists); rate: conversão
+const PRICE_SOURCES = ['base', 'shopify', 'rate'];
+
+const LABEL_KEYS = ['in_stock', 'out_of_stock'];
+
+// O Intl conhece o locale e a moeda?
+function isValidFormat(locale, currency) {
+    try {
+        new Intl.NumberFormat(locale, { style: 'currency', currency });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Devolve a lista de erros (vazia se os mercados forem válidos)
+function validateMarkets(config) {
+    if (!config || !Array.isArray(config.markets) || config.markets.length === 0) {
+        return ['o ficheiro deve ter uma lista "markets" com pelo menos um mercado'];
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    config.markets.forEach((market, index) => {
+        const where = `markets[${index}]${market?.id ? ` (${market.id})` : ''}`;
+        if (!market || typeof market !== 'object') {
+            errors.push(`${where}: o mercado deve ser um objeto`);
+            return;
+        }
+
+        Object.keys(market).forEach(key => {
+            if (!MARKET_KEYS.includes(key)) {
+                errors.push(`${where}.${key}: opção desconhecida (válidas: ${MARKET_KEYS.join(', ')})`);
+            }
+        });
+
+        if (!/^[a-z0-9-]+$/.test(market.id || '')) {
+            errors.push(`${where}.id: obrigatório, só minúsculas, números e "-"`);
+        } else if (ids.has(market.id)) {
+            errors.push(`${where}.id: repetido`);
+        }
+        ids.add(market.id);
+
+        if (!/^[A-Z]{3}$/.test(market.currency || '') || !isValidFormat(market.locale, market.currency)) {
+            errors.push(`${where}: "locale" e "currency" devem ser válidos, ex: "pt-BR" e "BRL"`);
+        }
+
+        const prices = market.prices || 'base';
+        if (!PRICE_SOURCES.includes(prices)) {
+            errors.push(`${where}.prices: deve ser um de ${PRICE_SOURCES.join(', ')}`);
+        }
+        if (index === 0 && prices !== 'base') {
+            errors.push(`${where}.prices: o primeiro mercado é o principal e usa os preços base`);
+        }
+        if (prices === 'shopify' && !/^[A-Z]{2}$/.test(market.country || '')) {
+            errors.push(`${where}.country: obrigatório com "prices": "shopify" (código do país, ex: "BR")`);
+        }
+        if (prices === 'base' && market.rate !== undefined) {
+            errors.push(`${where}.rate: só se usa com "prices": "rate" ou "shopify"`);
+        }
+        if ((prices === 'rate' || market.rate !== undefined) && !(typeof market.rate === 'number' && market.rate > 0)) {
+            errors.push(`${where}.rate: deve ser um número positivo (1 na moeda da loja = rate ${market.currency})`);
+        }
+        if (market.language !== undefined && !/^[a-z]{2}(-[A-Z]{2})?$/.test(market.language)) {
+            errors.push(`${where}.language: código de idioma do Shopify, ex: "es" ou "pt-BR"`);
+        }
+        if (market.storefront_url !== undefined && !/^https?:\/\//.test(market.storefront_url)) {
+            errors.push(`${where}.storefront_url: deve começar por http:// ou https://`);
+        }
+        Object.entries(market.labels || {}).forEach(([key, value]) => {
+            if (!LABEL_KEYS.includes(key) || typeof value !== 'string') {
+                errors.push(`${where}.labels.${key}: etiqueta inválida (válidas: ${LABEL_KEYS.join(', ')}, em texto)`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// Carregar e validar os mercados; lança um erro com todos os problemas encontrados
+function loadMarkets(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Mercados inválidos (${filePath}): ${error.message}`);
+    }
+
+    const errors = validateMarkets(config);
+    if (errors.length > 0) {
+        throw new Error(`Mercados inválidos (${filePath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return config.markets.map(market => ({
+        ...market,
+        prices: market.prices || 'base',
+        storefront_url: market.storefront_url && market.storefront_url.replace(/\/+$/, '')
+    }));
+}
+
+// Preço formatado segundo o mercado, ex: "12,50 €" (pt-PT) ou "R$ 75,90" (pt-BR)
+function formatPrice(amount, market) {
+    return new Intl.NumberFormat(market.locale, { style: 'currency', currency: market.currency })
+        .format(amount)
+        .replace(/[\u00a0\u202f]/g, ' '); // Espaços inseparáveis do Intl confundem o Excel
+}
+
+// Valor do preço num mercado; null se não houver preço nessa moeda
+// marketPrices: { <id do mercado>: preço } vindo das price lists do Shopify
+function resolvePrice(market, basePrice, marketPrices = {}) {
+    if (market.prices === 'base') {
+        return basePrice;
+    }
+    if (market.prices === 'shopify' && marketPrices[market.id] != null) {
+        return parseFloat(marketPrices[market.id]);
+    }
+    // Conversão (ou recurso quando a price list não tem esta variante)
+    return market.rate ? Math.round(basePrice * market.rate * 100) / 100 : null;
+}
+
+// Valor numérico do preço de uma linha formatada
+// (linhas guardadas antes dos mercados só têm o texto, sempre no formato "€12.50")
+function getPriceAmount(product) {
+    if (product.price_amount !== undefined) return product.price_amount;
+    return parseFloat(String(product.price).replace(/[^\d.]/g, '')) || 0;
+}
+
+// Ficheiro de um mercado: o principal fica com o nome original, os outros levam o id
+// ex: marketFileName('catalogo.csv', br) -> 'catalogo-br.csv'
+function marketFileName(fileName, market, isPrimary) {
+    if (isPrimary) return fileName;
+    const dot = fileName.lastIndexOf('.');
+    return `${fileName.slice(0, dot)}-${market.id}${fileName.slice(dot)}`;
+}
+
+module.exports = {
+    loadMarkets,
+    validateMarkets,
+    formatPrice,
+    resolvePrice,
+    getPriceAmount,
+    marketFileName
+};
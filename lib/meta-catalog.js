@@ -0,0 +1,201 @@
+// lib/meta-catalog.js - Publicação direta no catálogo Meta (WhatsApp Cloud / Commerce)
+const crypto = require('crypto');
+const axios = require('axios');
+const { getPriceAmount } = require('./markets');
+const { isAvailable } = require('./inventory');
+
+// Configuração por omissão, a partir das variáveis META_*
+const META_CONFIG = {
+    enabled: process.env.META_PUBLISH === 'true',
+    dryRun: process.env.META_DRY_RUN === 'true',
+    catalogId: process.env.META_CATALOG_ID,
+    accessToken: process.env.META_ACCESS_TOKEN,
+    // Configurável para testar contra um servidor mock local
+    baseUrl: process.env.META_GRAPH_URL || 'https://graph.facebook.com',
+    apiVersion: process.env.META_API_VERSION || 'v19.0'
+};
+
+// Limite de pedidos por chamada ao items_batch
+const META_BATCH_SIZE = 1000;
+
+// Configuração de uma loja a partir do bloco "meta" do perfil (config/stores.json)
+function buildMetaConfig(profileMeta) {
+    if (!profileMeta) return { ...META_CONFIG };
+    return {
+        enabled: profileMeta.publish === true,
+        dryRun: profileMeta.dry_run === true,
+        catalogId: profileMeta.catalog_id,
+        accessToken: profileMeta.token_env ? process.env[profileMeta.token_env] : undefined,
+        baseUrl: profileMeta.graph_url || META_CONFIG.baseUrl,
+        apiVersion: profileMeta.api_version || META_CONFIG.apiVersion
+    };
+}
+
+function graphUrl(config, endpoint) {
+    return `${config.baseUrl}/${config.apiVersion}/${config.catalogId}/${endpoint}`;
+}
+
+// Converter um produto formatado para os campos do catálogo Meta
+function toMetaItem(product) {
+    const amount = getPriceAmount(product);
+
+    return {
+        id: product.id.toString(),
+        item_group_id: product.item_group_id,
+        title: product.name,
+        description: product.description,
+        availability: isAvailable(product) ? 'in stock' : 'out of stock',
+        condition: 'new',
+        price: `${amount.toFixed(2)} ${product.currency}`,
+        link: product.url,
+        image_link: product.image_url,
+        brand: product.vendor,
+        additional_image_link: (product.additional_images || []).join(','),
+        google_product_category: product.google_product_category || ''
+    };
+}
+
+// Impressão digital de um item do Meta, guardada no estado da publicação para saber o que mudou
+function itemHash(item) {
+    return crypto.createHash('sha1').update(JSON.stringify(item)).digest('hex');
+}
+
+// IDs que estão publicados no Meta (último pedido não foi um DELETE)
+function publishedIds(published) {
+    return Object.values(published).filter(item => item.method !== 'DELETE').map(item => item.id);
+}
+
+// DELETE para o que está publicado mas já não é exportado (removido, oculto ou inválido)
+function buildWithdrawRequests(exportable, published) {
+    return publishedIds(published)
+        .filter(id => !exportable.has(id))
+        .map(id => ({ method: 'DELETE', data: { id } }));
+}
+
+// Linhas que podem ir para o Meta, por id (sem as que estão em withheldIds)
+function exportableById(formattedProducts, withheldIds) {
+    return new Map(formattedProducts
+        .filter(product => !withheldIds.has(product.id))
+        .map(product => [product.id.toString(), product]));
+}
+
+// Derivar CREATE/UPDATE/DELETE comparando cada item com o que foi publicado da última vez
+// (apanha também as mudanças que chegaram por webhook ou alteração manual entre sincronizações)
+// formattedProducts: todas as linhas do catálogo; withheldIds: as que ficam fora da exportação
+// (ocultas no dashboard ou com erros de validação); published: estado da publicação (store.getPublishStatus())
+function buildBatchRequests(formattedProducts, { withheldIds = new Set(), published = {} } = {}) {
+    const byId = exportableById(formattedProducts, withheldIds);
+    const requests = [];
+    byId.forEach((product, id) => {
+        const item = toMetaItem(product);
+        const last = published[id];
+        // Nunca publicado, ou apagado do Meta e de volta às exportações (ex: deixou de estar oculto)
+        if (!last || last.method === 'DELETE') {
+            requests.push({ method: 'CREATE', data: item });
+        } else if (last.hash !== itemHash(item) || last.status === 'error') {
+            requests.push({ method: 'UPDATE', data: item });
+        }
+    });
+
+    return [...requests, ...buildWithdrawRequests(new Set(byId.keys()), published)];
+}
+
+// Todos os produtos como UPDATE (com upsert), para republicar o catálogo inteiro,
+// e DELETE do que está publicado mas já não é exportado
+function buildFullBatchRequests(formattedProducts, { withheldIds = new Set(), published = {} } = {}) {
+    const byId = exportableById(formattedProducts, withheldIds);
+    return [
+        ...[...byId.values()].map(product => ({ method: 'UPDATE', data: toMetaItem(product) })),
+        ...buildWithdrawRequests(new Set(byId.keys()), published)
+    ];
+}
+
+// Enviar os pedidos para o items_batch; em dry-run só mostra o payload
+// config: ver buildMetaConfig; store: dados da loja onde fica o estado da publicação
+async function publishToMeta(config, store, requests, { dryRun = config.dryRun } = {}) {
+    const batches = [];
+    for (let i = 0; i < requests.length; i += META_BATCH_SIZE) {
+        batches.push(requests.slice(i, i + META_BATCH_SIZE));
+    }
+
+    const payloads = batches.map(batch => ({
+        item_type: 'PRODUCT_ITEM',
+        allow_upsert: true,
+        requests: batch
+    }));
+
+    if (dryRun) {
+        console.log('🧪 Meta dry-run, payload não enviado:');
+        payloads.forEach(payload => console.log(JSON.stringify(payload, null, 2)));
+        return { dry_run: true, requests: requests.length, payloads };
+    }
+
+    if (!config.catalogId || !config.accessToken) {
+        throw new Error('O ID do catálogo e o token Meta são obrigatórios para publicar');
+    }
+
+    const handles = [];
+    for (const payload of payloads) {
+        const response = await axios.post(graphUrl(config, 'items_batch'), payload, {
+            headers: { Authorization: `Bearer ${config.accessToken}` }
+        });
+        const handle = response.data.handles?.[0];
+        handles.push(handle);
+
+        const now = new Date().toISOString();
+        store.updatePublishStatus(payload.requests.map(request => ({
+            id: request.data.id,
+            method: request.method,
+            hash: request.method === 'DELETE' ? null : itemHash(request.data),
+            handle,
+            status: 'pending',
+            errors: [],
+            updated_at: now
+        })));
+    }
+
+    console.log(`📤 ${requests.length} pedidos enviados para o catálogo Meta (${handles.length} lote(s))`);
+    return { dry_run: false, requests: requests.length, handles };
+}
+
+// Consultar o estado dos lotes pendentes e atualizar o estado de cada item
+async function refreshBatchStatus(config, store) {
+    const pending = Object.values(store.getPublishStatus()).filter(item => item.status === 'pending');
+    const handles = [...new Set(pending.map(item => item.handle).filter(Boolean))];
+
+    for (const handle of handles) {
+        const response = await axios.get(graphUrl(config, 'check_batch_request_status'), {
+            params: { handle },
+            headers: { Authorization: `Bearer ${config.accessToken}` }
+        });
+        const batch = response.data.data?.[0] || {};
+        if (batch.status !== 'finished') continue;
+
+        const errorsById = {};
+        (batch.errors || []).forEach(error => {
+            (errorsById[error.id] = errorsById[error.id] || []).push(error.message);
+        });
+
+        const now = new Date().toISOString();
+        store.updatePublishStatus(pending
+            .filter(item => item.handle === handle)
+            .map(item => ({
+                ...item,
+                status: errorsById[item.id] ? 'error' : 'ok',
+                errors: errorsById[item.id] || [],
+                updated_at: now
+            })));
+    }
+
+    return store.getPublishStatus();
+}
+
+module.exports = {
+    META_CONFIG,
+    buildMetaConfig,
+    toMetaItem,
+    buildBatchRequests,
+    buildFullBatchRequests,
+    publishToMeta,
+    refreshBatchStatus
+};
@@ -0,0 +1,177 @@
+// lib/overrides.js - Alterações manuais por linha do catálogo (título, descrição, preço promocional, ocultar)
+// aplicadas por cima dos dados do Shopify em cada sincronização e webhook
+const { formatPrice } = require('./markets');
+const { TITLE_MAX, DESCRIPTION_MAX } = require('./validation');
+
+const OVERRIDE_FIELDS = ['name', 'description', 'price', 'hidden', 'markets'];
+// Valores próprios de um dos outros mercados (ex: título traduzido ou preço em BRL)
+const MARKET_FIELDS = ['name', 'description', 'price'];
+// Campos que vêm do Shopify: guarda-se o valor de base para saber quando o Shopify o muda depois
+const TRACKED_FIELDS = ['name', 'description', 'price'];
+
+// Validar os campos de texto e preço (where: prefixo das mensagens, ex: "markets.br.")
+function parseValueFields(values, where, allowed, fields, errors) {
+    Object.entries(values).forEach(([key, value]) => {
+        if (!allowed.includes(key)) {
+            errors.push(`${where}${key}: campo desconhecido (válidos: ${allowed.join(', ')})`);
+            return;
+        }
+        if (value === null || value === '' || key === 'markets') return;
+
+        if (key === 'name' || key === 'description') {
+            const max = key === 'name' ? TITLE_MAX : DESCRIPTION_MAX;
+            if (typeof value !== 'string' || !value.trim()) {
+                errors.push(`${where}${key}: deve ser texto`);
+            } else if (value.trim().length > max) {
+                errors.push(`${where}${key}: no máximo ${max} caracteres`);
+            } else {
+                fields[key] = value.trim();
+            }
+        } else if (key === 'price') {
+            // Aceita 3.9, "3.90" ou "3,90"
+            const amount = typeof value === 'number' ? value : Number(String(value).replace(',', '.'));
+            if (!Number.isFinite(amount) || amount <= 0) {
+                errors.push(`${where}price: deve ser um número maior que zero`);
+            } else {
+                fields.price = roundPrice(amount);
+            }
+        } else if (typeof value !== 'boolean') {
+            errors.push(`${where}hidden: deve ser true ou false`);
+        } else if (value) {
+            fields.hidden = true;
+        }
+    });
+}
+
+// Validar o corpo do PUT; devolve { fields } (só os campos alterados) ou { errors }
+// null ou "" num campo = voltar ao valor do Shopify
+// marketIds: ids dos outros mercados, que podem ter valores próprios em "markets"
+function parseOverrides(body, marketIds = []) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: ['o corpo deve ser um objeto JSON'] };
+    }
+
+    const errors = [];
+    const fields = {};
+    parseValueFields(body, '', OVERRIDE_FIELDS, fields, errors);
+
+    if (body.markets !== undefined && body.markets !== null) {
+        if (typeof body.markets !== 'object' || Array.isArray(body.markets)) {
+            errors.push('markets: deve ser um objeto { <mercado>: { name, description, price } }');
+        } else {
+            Object.entries(body.markets).forEach(([marketId, values]) => {
+                if (!marketIds.includes(marketId)) {
+                    errors.push(`markets.${marketId}: mercado desconhecido (válidos: ${marketIds.join(', ') || 'nenhum'})`);
+                    return;
+                }
+                if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                    errors.push(`markets.${marketId}: deve ser um objeto`);
+                    return;
+                }
+                const marketFields = {};
+                parseValueFields(values, `markets.${marketId}.`, MARKET_FIELDS, marketFields, errors);
+                if (Object.keys(marketFields).length > 0) {
+                    fields.markets = { ...fields.markets, [marketId]: marketFields };
+                }
+            });
+        }
+    }
+
+    return errors.length > 0 ? { errors } : { fields };
+}
+
+// Valor do Shopify (sem alterações) de um campo; o preço compara-se pelo valor numérico
+function shopifyValue(row, field) {
+    const original = row.overrides?.original || row;
+    return field === 'price' ? original.price_amount : original[field];
+}
+
+// Nova alteração para uma linha, com os valores do Shopify neste momento como base
+function createOverride(row, fields, username) {
+    return {
+        fields,
+        base: Object.fromEntries(TRACKED_FIELDS.filter(field => field in fields)
+            .map(field => [field, shopifyValue(row, field)])),
+        updated_by: username,
+        updated_at: new Date().toISOString()
+    };
+}
+
+function roundPrice(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Linha só com os dados do Shopify (tira as alterações aplicadas antes)
+function restoreShopifyValues(row) {
+    if (!row.overrides) return row;
+    const { overrides, hidden, ...rest } = row;
+    const { markets: originalMarkets, ...original } = overrides.original;
+    return { ...rest, ...original, ...(originalMarkets && { markets: originalMarkets }) };
+}
+
+// Campos de um dos outros mercados (row.markets[id]) com as alterações:
+// - título e descrição: o valor próprio do mercado, senão o do principal substitui a tradução
+// - preço: o valor próprio do mercado; senão, se o mercado tem preço próprio, o mesmo desconto
+//   do preço promocional (ex: -20% em EUR = -20% em BRL); sem preço próprio herda o do principal
+function overrideMarketFields(marketFields, fields, row, market) {
+    const own = fields.markets?.[market.id] || {};
+    const result = { ...marketFields };
+    ['name', 'description'].forEach(key => {
+        if (own[key]) result[key] = own[key];
+        else if (fields[key]) delete result[key];
+    });
+
+    if (own.price) {
+        result.price = formatPrice(own.price, market);
+        result.price_amount = own.price;
+    } else if (fields.price && typeof result.price_amount === 'number' && row.price_amount > 0) {
+        const amount = roundPrice(result.price_amount * fields.price / row.price_amount);
+        result.price = formatPrice(amount, market);
+        result.price_amount = amount;
+    }
+    return result;
+}
+
+// Aplicar as alterações (id da linha -> alteração) às linhas do catálogo
+// marketList: mercados da loja (o primeiro é o principal); ocultar vale para todos
+// Cada linha alterada leva "overrides": campos alterados, valores originais e os campos em conflito
+// (o Shopify mudou desde que a alteração foi guardada)
+function applyOverrides(rows, overrides, marketList) {
+    const [primary, ...others] = marketList;
+    return rows.map(current => {
+        const row = restoreShopifyValues(current);
+        const override = overrides[row.id];
+        if (!override) return row;
+
+        const { fields, base } = override;
+        return {
+            ...row,
+            ...(fields.name && { name: fields.name }),
+            ...(fields.description && { description: fields.description }),
+            ...(fields.price && { price: formatPrice(fields.price, primary), price_amount: fields.price }),
+            ...(fields.hidden && { hidden: true }),
+            ...(row.markets && {
+                markets: Object.fromEntries(others
+                    .filter(market => row.markets[market.id])
+                    .map(market => [market.id, overrideMarketFields(row.markets[market.id], fields, row, market)]))
+            }),
+            overrides: {
+                fields: Object.keys(fields),
+                // Valores próprios dos outros mercados (para o formulário do dashboard)
+                markets: fields.markets || {},
+                conflicts: TRACKED_FIELDS.filter(field => field in fields && base[field] !== shopifyValue(row, field)),
+                original: {
+                    name: row.name,
+                    description: row.description,
+                    price: row.price,
+                    price_amount: row.price_amount,
+                    ...(row.markets && { markets: row.markets })
+                },
+                updated_by: override.updated_by,
+                updated_at: override.updated_at
+            }
+        };
+    });
+}
+
+module.exports = { OVERRIDE_FIELDS, parseOverrides, createOverride, applyOverrides };
@@ -0,0 +1,152 @@
+// lib/product-query.js - Pesquisa, filtros, ordenação e paginação das linhas do catálogo (GET /api/products)
+const { isAvailable } = require('./inventory');
+const { getPriceAmount } = require('./markets');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 250;
+const AVAILABILITY = ['in_stock', 'out_of_stock'];
+const QUERY_PARAMS = ['q', 'category', 'vendor', 'availability', 'sort', 'limit', 'offset', 'cursor'];
+
+// Campos de ordenação (com "-" à frente para ordem descendente, ex: "-price");
+// sem "sort" fica a ordem do catálogo (a do Shopify)
+const SORT_FIELDS = {
+    name: row => row.name.toLocaleLowerCase('pt'),
+    price: row => getPriceAmount(row),
+    // Sem controlo de inventário: nunca acaba (o Infinity não passa no JSON do cursor)
+    stock: row => row.stock ?? Number.MAX_SAFE_INTEGER,
+    sku: row => (row.sku || '').toLowerCase(),
+    updated_at: row => row.updated_at || ''
+};
+
+// "Linha de Bordar" -> "linha de bordar"; "Algodão" -> "algodao" (pesquisa sem acentos)
+function normalize(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Cursor opaco com a chave de ordenação e o ID da última linha da página
+// (sem "sort" a chave é a posição no catálogo)
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Array.isArray(decoded) && decoded.length === 2 ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Ler e validar os parâmetros do pedido; devolve { options } ou { errors }
+function parseProductQuery(query) {
+    // Parâmetros repetidos ou com [] (ex: sort[]=name) chegam como listas ou objetos
+    const repeated = QUERY_PARAMS.filter(key => query[key] !== undefined && typeof query[key] !== 'string');
+    if (repeated.length > 0) {
+        return { errors: repeated.map(key => `${key}: deve aparecer uma só vez, como texto`) };
+    }
+
+    const errors = [];
+    const sortParam = query.sort || '';
+    const sortField = sortParam.replace(/^-/, '');
+    if (sortField && !SORT_FIELDS[sortField]) {
+        errors.push(`sort: deve ser um de ${Object.keys(SORT_FIELDS).join(', ')} (com "-" para descendente)`);
+    }
+    if (query.availability && !AVAILABILITY.includes(query.availability)) {
+        errors.push(`availability: deve ser ${AVAILABILITY.join(' ou ')}`);
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`limit: número inteiro entre 1 e ${MAX_LIMIT}`);
+    }
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.push('offset: número inteiro >= 0');
+    }
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    if (query.cursor && !cursor) {
+        errors.push('cursor: inválido (usa o next_cursor da página anterior)');
+    }
+    if (query.cursor && query.offset !== undefined) {
+        errors.push('usa "offset" ou "cursor", não os dois');
+    }
+
+    if (errors.length > 0) return { errors };
+    return {
+        options: {
+            q: normalize(query.q),
+            category: query.category ? normalize(query.category) : null,
+            vendor: query.vendor ? normalize(query.vendor) : null,
+            availability: query.availability || null,
+            sort: sortField || null,
+            descending: sortParam.startsWith('-'),
+            limit,
+            offset,
+            cursor
+        }
+    };
+}
+
+// A linha corresponde à pesquisa (nome, SKU ou tags) e aos filtros?
+function matchesQuery(row, options) {
+    if (options.q && ![row.name, row.sku, row.tags].some(value => normalize(value).includes(options.q))) {
+        return false;
+    }
+    if (options.category && normalize(row.category) !== options.category) return false;
+    if (options.vendor && normalize(row.vendor) !== options.vendor) return false;
+    if (options.availability && isAvailable(row) !== (options.availability === 'in_stock')) return false;
+    return true;
+}
+
+// Comparar [valor de ordenação, id]; o id desempata para a ordem ser sempre a mesma
+function compareKeys([valueA, idA], [valueB, idB], descending) {
+    let order = 0;
+    if (valueA < valueB) order = -1;
+    else if (valueA > valueB) order = 1;
+    if (descending) order = -order;
+    if (order !== 0) return order;
+    return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+// Valores únicos de um campo, para os filtros do dashboard
+function distinctValues(rows, field) {
+    return [...new Set(rows.map(row => row[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'pt'));
+}
+
+// Página de linhas: { products, total, offset, limit, next_cursor, facets }
+// total = linhas que correspondem à pesquisa; facets = categorias e marcas de todo o catálogo
+function queryProducts(rows, options) {
+    // Sem "sort" a chave é a posição no catálogo
+    const sortKey = options.sort ? SORT_FIELDS[options.sort] : null;
+    const keyed = rows
+        .map((row, index) => ({ row, key: [sortKey ? sortKey(row) : index, row.id] }))
+        .filter(({ row }) => matchesQuery(row, options));
+    if (sortKey) {
+        keyed.sort((a, b) => compareKeys(a.key, b.key, options.descending));
+    }
+
+    // Cursor: continuar depois da última linha da página anterior. Com "sort" funciona mesmo que o
+    // catálogo tenha mudado; sem "sort" a chave é a posição, e linhas novas ou removidas antes do
+    // cursor fazem saltar ou repetir linhas (como o offset)
+    const start = options.cursor
+        ? keyed.findIndex(({ key }) => compareKeys(key, options.cursor, sortKey && options.descending) > 0)
+        : options.offset;
+    const first = start === -1 ? keyed.length : start;
+    const page = keyed.slice(first, first + options.limit);
+    const last = page[page.length - 1];
+
+    return {
+        products: page.map(({ row }) => row),
+        total: keyed.length,
+        offset: first,
+        limit: options.limit,
+        next_cursor: last && first + page.length < keyed.length ? encodeCursor(...last.key) : null,
+        facets: {
+            categories: distinctValues(rows, 'category'),
+            vendors: distinctValues(rows, 'vendor')
+        }
+    };
+}
+
+module.exports = { SORT_FIELDS, parseProductQuery, queryProducts };
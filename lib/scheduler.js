@@ -0,0 +1,60 @@
+// lib/scheduler.js - Sincronizações automáticas com expressões cron (config/schedule.json)
+const fs = require('fs');
+const cron = require('node-cron');
+
+// Devolve a lista de erros (vazia se o agendamento for válido)
+function validateSchedule(config) {
+    if (!config || !Array.isArray(config.syncs)) {
+        return ['o ficheiro deve ter uma lista "syncs"'];
+    }
+
+    const errors = [];
+    if (config.timezone !== undefined && typeof config.timezone !== 'string') {
+        errors.push('"timezone" deve ser texto, ex: "Europe/Lisbon"');
+    }
+
+    config.syncs.forEach((entry, index) => {
+        const where = `syncs[${index}]${entry?.name ? ` (${entry.name})` : ''}`;
+        if (!entry?.name) {
+            errors.push(`${where}: "name" é obrigatório`);
+        }
+        if (typeof entry?.cron !== 'string' || !cron.validate(entry.cron)) {
+            errors.push(`${where}.cron: expressão cron inválida "${entry?.cron}"`);
+        }
+        if (entry?.stores !== undefined && (!Array.isArray(entry.stores) || entry.stores.length === 0)) {
+            errors.push(`${where}.stores: deve ser uma lista de IDs de lojas (sem "stores": todas)`);
+        }
+    });
+
+    return errors;
+}
+
+// Carregar e validar o agendamento; lança um erro com todos os problemas encontrados
+function loadSchedule(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Agendamento inválido (${filePath}): ${error.message}`);
+    }
+
+    const errors = validateSchedule(config);
+    if (errors.length > 0) {
+        throw new Error(`Agendamento inválido (${filePath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        timezone: config.timezone,
+        syncs: config.syncs.filter(entry => entry.enabled !== false)
+    };
+}
+
+// Arrancar as tarefas cron; onTick(entry) é chamado em cada disparo
+function startScheduler(schedule, onTick) {
+    return schedule.syncs.map(entry => {
+        console.log(`⏰ Sincronização agendada "${entry.name}": ${entry.cron}`);
+        return cron.schedule(entry.cron, () => onTick(entry), { timezone: schedule.timezone });
+    });
+}
+
+module.exports = { loadSchedule, validateSchedule, startScheduler };
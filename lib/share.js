@@ -0,0 +1,118 @@
+// lib/share.js - Mensagens de WhatsApp prontas a colar, com link wa.me e QR code
+const QRCode = require('qrcode');
+const { truncateText } = require('./html-text');
+const { isAvailable } = require('./inventory');
+
+// Parâmetros UTM por omissão (o bloco "share" do perfil da loja pode substituí-los)
+const DEFAULT_UTM = { source: 'whatsapp', medium: 'chat', campaign: 'partilha' };
+const SHORT_DESCRIPTION_MAX = 160;
+
+// Juntar os parâmetros UTM ao link do produto (links relativos ou inválidos ficam como estão)
+function addUtm(url, utm, content) {
+    if (!url) return '';
+    let link;
+    try {
+        link = new URL(url);
+    } catch {
+        return url;
+    }
+    Object.entries({ ...utm, content }).forEach(([key, value]) => {
+        if (value) link.searchParams.set(`utm_${key}`, value);
+    });
+    return link.toString();
+}
+
+// Descrição numa só linha, curta
+function shortDescription(description) {
+    const text = (description || '').replace(/\s*\n+\s*/g, ' ').replace(/•\s*/g, '').trim();
+    return truncateText(text, SHORT_DESCRIPTION_MAX);
+}
+
+// Nome do produto sem a variante ("Bastidor - 20cm" -> "Bastidor")
+function productTitle(row) {
+    const suffix = ` - ${row.variant_title}`;
+    return row.variant_title && row.name.endsWith(suffix) ? row.name.slice(0, -suffix.length) : row.name;
+}
+
+// Mensagem de um produto; várias linhas = variantes do mesmo produto
+function buildProductMessage(rows, { utm = DEFAULT_UTM } = {}) {
+    const [first] = rows;
+    const lines = [];
+
+    if (rows.length === 1) {
+        lines.push(`*${first.name}*`);
+        lines.push(`💶 ${first.price}`);
+        lines.push(`${isAvailable(first) ? '✅' : '❌'} ${first.availability}`);
+    } else {
+        lines.push(`*${productTitle(first)}*`);
+        rows.forEach(row => {
+            lines.push(`${isAvailable(row) ? '✅' : '❌'} ${row.variant_title || row.name}: ${row.price}`);
+        });
+    }
+
+    const description = shortDescription(first.description);
+    if (description) lines.push('', description);
+
+    const url = addUtm(rows.length === 1 ? first.url : first.url?.split('?')[0], utm, first.item_group_id);
+    if (url) lines.push('', `🔗 ${url}`);
+
+    return lines.join('\n');
+}
+
+// Mensagem de uma coleção: uma linha por produto (agrupando as variantes)
+function buildCollectionMessage(title, rows, { utm = DEFAULT_UTM } = {}) {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row.item_group_id)) groups.set(row.item_group_id, []);
+        groups.get(row.item_group_id).push(row);
+    });
+
+    const lines = [`*${title}* (${groups.size} produtos)`];
+    groups.forEach(group => {
+        const [first] = group;
+        const inStock = group.some(isAvailable);
+        const name = group.length > 1 ? productTitle(first) : first.name;
+        // Variantes com preços diferentes: mostrar "desde"
+        const cheapest = group.reduce((min, row) => (row.price_amount < min.price_amount ? row : min), first);
+        const price = group.some(row => row.price !== first.price) ? `desde ${cheapest.price}` : first.price;
+        const url = addUtm(first.url?.split('?')[0], utm, first.item_group_id);
+
+        lines.push('', `${inStock ? '✅' : '❌'} *${name}* - ${price}`);
+        if (url) lines.push(`🔗 ${url}`);
+    });
+
+    return lines.join('\n');
+}
+
+// Link click-to-chat: com telefone abre a conversa com a loja, sem telefone deixa escolher o contacto
+function waMeLink(phone, text) {
+    return `https://wa.me/${phone || ''}?text=${encodeURIComponent(text)}`;
+}
+
+// Mensagem de encomenda que o cliente envia à loja ao abrir o link
+function orderText(label) {
+    return `Olá! Gostaria de encomendar: ${label}`;
+}
+
+// Resposta completa: texto a colar, link wa.me e QR code (PNG em data URL)
+async function buildShare(message, orderLabel, { phone } = {}) {
+    const waLink = waMeLink(phone, phone ? orderText(orderLabel) : message);
+    let qrCode = null;
+    try {
+        qrCode = await QRCode.toDataURL(waLink, { margin: 1, width: 300 });
+    } catch (error) {
+        // Mensagens muito longas (coleções grandes sem telefone) não cabem num QR code
+        console.warn('⚠️ QR code não gerado:', error.message);
+    }
+    return { message, wa_link: waLink, qr_code: qrCode };
+}
+
+module.exports = {
+    DEFAULT_UTM,
+    addUtm,
+    productTitle,
+    buildProductMessage,
+    buildCollectionMessage,
+    waMeLink,
+    buildShare
+};
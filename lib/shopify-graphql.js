@@ -0,0 +1,225 @@
+// lib/shopify-graphql.js - Consultas de produtos na Admin API GraphQL e conversão para o formato REST
+// (o resto do sistema trabalha com produtos no formato do products.json)
+
+const PRODUCT_FIELDS = `
+    id
+    legacyResourceId
+    title
+    handle
+    descriptionHtml
+    productType
+    vendor
+    tags
+    status
+    publishedAt
+    createdAt
+    updatedAt
+    options { name position values }
+`;
+
+const VARIANT_FIELDS = `
+    id
+    legacyResourceId
+    title
+    price
+    compareAtPrice
+    sku
+    barcode
+    position
+    inventoryPolicy
+    inventoryQuantity
+    selectedOptions { name value }
+    image { url }
+    inventoryItem { legacyResourceId tracked }
+`;
+
+// Limites por produto nas consultas paginadas: o custo pedido tem de ficar abaixo de 1000 pontos
+const VARIANTS_PAGE = 30;
+
+// Produto completo numa só consulta: variantes, coleções, metafields e imagens
+// (as bulk operations não aceitam limites nem pageInfo nas ligações)
+function productSelection({ paged }) {
+    const first = size => (paged ? `(first: ${size})` : '');
+    const pageInfo = paged ? 'pageInfo { hasNextPage endCursor }' : '';
+    return `
+        ${PRODUCT_FIELDS}
+        variants${first(VARIANTS_PAGE)} { ${pageInfo} edges { node { ${VARIANT_FIELDS} } } }
+        collections${first(10)} { edges { node { id legacyResourceId handle title } } }
+        metafields${first(20)} { edges { node { id namespace key value type } } }
+        media${first(10)} { edges { node { id ... on MediaImage { image { url } } } } }
+    `;
+}
+
+const PAGED_PRODUCT = productSelection({ paged: true });
+
+const PRODUCTS_QUERY = `
+    query Products($first: Int!, $after: String) {
+        products(first: $first, after: $after) {
+            pageInfo { hasNextPage endCursor }
+            edges { node { ${PAGED_PRODUCT} } }
+        }
+    }`;
+
+const PRODUCT_QUERY = `
+    query Product($id: ID!) {
+        product(id: $id) { ${PAGED_PRODUCT} }
+    }`;
+
+// Variantes além das primeiras VARIANTS_PAGE
+const VARIANTS_QUERY = `
+    query ProductVariants($id: ID!, $after: String) {
+        product(id: $id) {
+            variants(first: 100, after: $after) {
+                pageInfo { hasNextPage endCursor }
+                edges { node { ${VARIANT_FIELDS} } }
+            }
+        }
+    }`;
+
+const PRODUCTS_COUNT_QUERY = 'query ProductsCount { productsCount { count } }';
+
+// Bulk operation: o Shopify gera um ficheiro JSONL com todos os produtos
+const BULK_PRODUCTS_QUERY = `{
+    products {
+        edges { node { ${productSelection({ paged: false })} } }
+    }
+}`;
+
+const BULK_RUN_MUTATION = `
+    mutation RunProductsBulk($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+            bulkOperation { id status }
+            userErrors { field message }
+        }
+    }`;
+
+const BULK_STATUS_QUERY = `
+    query BulkOperationStatus($id: ID!) {
+        node(id: $id) {
+            ... on BulkOperation { id status errorCode objectCount url }
+        }
+    }`;
+
+// "gid://shopify/ProductVariant/123" -> "ProductVariant"
+function gidType(gid) {
+    return (gid || '').split('/')[3];
+}
+
+function nodesOf(connection) {
+    return (connection?.edges || []).map(edge => edge.node);
+}
+
+function toRestVariant(variant, productId, options, images) {
+    const rest = {
+        id: Number(variant.legacyResourceId),
+        product_id: productId,
+        title: variant.title,
+        price: variant.price,
+        compare_at_price: variant.compareAtPrice,
+        sku: variant.sku,
+        barcode: variant.barcode,
+        position: variant.position,
+        inventory_policy: (variant.inventoryPolicy || 'DENY').toLowerCase(),
+        inventory_quantity: variant.inventoryQuantity,
+        inventory_item_id: variant.inventoryItem ? Number(variant.inventoryItem.legacyResourceId) : null,
+        inventory_management: variant.inventoryItem?.tracked ? 'shopify' : null,
+        image_id: images.find(image => variant.image && image.src === variant.image.url)?.id || null
+    };
+    options.forEach((option, index) => {
+        const selected = (variant.selectedOptions || []).find(entry => entry.name === option.name);
+        rest[`option${index + 1}`] = selected ? selected.value : null;
+    });
+    return rest;
+}
+
+// Produto GraphQL (com as listas já separadas) no formato do products.json,
+// mais product.collections ({ id, handle, title }), que o REST não tem
+function toRestProduct(node, { variants = [], collections = [], metafields = [], media = [] } = {}) {
+    const id = Number(node.legacyResourceId);
+    const options = (node.options || []).map(({ name, position, values }) => ({ name, position, values }));
+    const images = media
+        .filter(item => item.image?.url)
+        .map((item, index) => ({ id: Number(item.id.split('/').pop()), position: index + 1, src: item.image.url }));
+
+    return {
+        id,
+        title: node.title,
+        handle: node.handle,
+        body_html: node.descriptionHtml,
+        product_type: node.productType,
+        vendor: node.vendor,
+        tags: (node.tags || []).join(', '),
+        status: (node.status || 'ACTIVE').toLowerCase(),
+        published_at: node.publishedAt,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        options,
+        images,
+        image: images[0] || null,
+        variants: variants.map(variant => toRestVariant(variant, id, options, images)),
+        metafields: metafields.map(({ namespace, key, value, type }) => ({ namespace, key, value, type })),
+        collections: collections.map(collection => ({
+            id: Number(collection.legacyResourceId),
+            handle: collection.handle,
+            title: collection.title
+        }))
+    };
+}
+
+// Produto de uma consulta paginada (as ligações vêm dentro do nó)
+function fromPagedNode(node) {
+    return toRestProduct(node, {
+        variants: nodesOf(node.variants),
+        collections: nodesOf(node.collections),
+        metafields: nodesOf(node.metafields),
+        media: nodesOf(node.media)
+    });
+}
+
+// Juntar as linhas do JSONL de uma bulk operation: os filhos (variantes, coleções...) vêm em
+// linhas próprias com __parentId, sempre depois do produto
+const CHILD_LISTS = {
+    ProductVariant: 'variants',
+    Collection: 'collections',
+    Metafield: 'metafields',
+    MediaImage: 'media'
+};
+
+function createBulkAssembler() {
+    const products = new Map();
+
+    function addLine(line) {
+        if (!line.trim()) return;
+        const object = JSON.parse(line);
+
+        if (!object.__parentId) {
+            products.set(object.id, { node: object, variants: [], collections: [], metafields: [], media: [] });
+            return;
+        }
+        const list = CHILD_LISTS[gidType(object.id)];
+        const parent = products.get(object.__parentId);
+        // Outros tipos de media (vídeos, modelos 3D) não entram no catálogo
+        if (list && parent) {
+            parent[list].push(object);
+        }
+    }
+
+    function getProducts() {
+        return [...products.values()].map(({ node, ...lists }) => toRestProduct(node, lists));
+    }
+
+    return { addLine, getProducts };
+}
+
+module.exports = {
+    PRODUCTS_QUERY,
+    PRODUCT_QUERY,
+    VARIANTS_QUERY,
+    PRODUCTS_COUNT_QUERY,
+    BULK_PRODUCTS_QUERY,
+    BULK_RUN_MUTATION,
+    BULK_STATUS_QUERY,
+    nodesOf,
+    fromPagedNode,
+    createBulkAssembler
+};
@@ -0,0 +1,381 @@
+// lib/store.js - Armazenamento persistente dos produtos (ficheiro JSON local, um por loja)
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const MAX_SYNC_HISTORY = 100;
+const MAX_JOB_HISTORY = 200;
+const MAX_ALERTS = 200;
+
+function emptyState() {
+    return {
+        products: [],
+        lastSync: null,
+        syncHistory: [],
+        // Por produto (retailer id): updated_at do Shopify e quando a linha mudou cá
+        productTimestamps: {},
+        // Estado de publicação no catálogo Meta, por retailer id
+        publishStatus: {},
+        // Produtos deixados de fora pelos filtros, com a regra que os excluiu
+        excludedProducts: [],
+        // Último relatório de validação do catálogo (erros e avisos por produto)
+        validation: null,
+        // Execuções da fila de trabalhos (mais recente primeiro)
+        jobHistory: [],
+        // Alertas de stock (mais recente primeiro)
+        alerts: [],
+        // Nível de stock de cada linha na última verificação (null = ainda não verificado)
+        stockLevels: null,
+        // Produtos com os alertas silenciados, por product_id
+        alertMutes: {},
+        // Alterações manuais do dashboard por retailer id (ver lib/overrides.js)
+        productOverrides: {}
+    };
+}
+
+// Criar o store de uma loja, guardado em <dataDir>/store.json
+function createStore(dataDir) {
+    const storeFile = path.join(dataDir, 'store.json');
+    // Produtos tal como vieram do Shopify (detalhe no dashboard), num ficheiro à parte para não
+    // reescrever o catálogo inteiro a cada gravação do store.json; carregados só quando são precisos
+    const shopifyFile = path.join(dataDir, 'shopify-products.json');
+    // Diff completo de cada sincronização em <dataDir>/diffs/sync-<id>.json (o histórico só guarda o resumo)
+    const diffsDir = path.join(dataDir, 'diffs');
+    let state = emptyState();
+    let shopifyProducts = null;
+
+    // Carregar o estado guardado (chamado no arranque)
+    function loadStore() {
+        try {
+            if (fs.existsSync(storeFile)) {
+                state = { ...emptyState(), ...JSON.parse(fs.readFileSync(storeFile, 'utf8')) };
+                moveInlineDiffs();
+                // Trabalhos que estavam a correr quando o servidor parou
+                state.jobHistory.forEach(job => {
+                    if (job.status === 'queued' || job.status === 'running') {
+                        job.status = 'interrupted';
+                    }
+                });
+                console.log(`💾 Store carregado (${storeFile}): ${state.products.length} produtos`);
+            }
+        } catch (error) {
+            console.error('❌ Erro ao carregar store, a começar vazio:', error.message);
+            state = emptyState();
+        }
+        return state;
+    }
+
+    // Escrever para um ficheiro temporário e renomear, para nunca deixar o ficheiro a meio
+    function writeFileAtomic(file, data) {
+        if (!fs.existsSync(path.dirname(file))) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, data);
+        fs.renameSync(tmpFile, file);
+    }
+
+    function saveStore() {
+        writeFileAtomic(storeFile, JSON.stringify(state, null, 2));
+    }
+
+    // Map product_id -> produto do Shopify (vazio antes da primeira sincronização)
+    function loadShopifyProducts() {
+        if (shopifyProducts) return shopifyProducts;
+        try {
+            const list = fs.existsSync(shopifyFile) ? JSON.parse(fs.readFileSync(shopifyFile, 'utf8')) : [];
+            shopifyProducts = new Map(list.map(product => [product.id, product]));
+        } catch (error) {
+            console.error('❌ Erro ao carregar os produtos do Shopify guardados:', error.message);
+            shopifyProducts = new Map();
+        }
+        return shopifyProducts;
+    }
+
+    function saveShopifyProducts() {
+        writeFileAtomic(shopifyFile, JSON.stringify([...shopifyProducts.values()]));
+    }
+
+    function getShopifyProduct(productId) {
+        return loadShopifyProducts().get(productId) || null;
+    }
+
+    // Todos os produtos lidos na sincronização (incluindo os excluídos pelos filtros)
+    function setShopifyProducts(products) {
+        shopifyProducts = new Map(products.map(product => [product.id, product]));
+        saveShopifyProducts();
+    }
+
+    // Atualizar um produto (webhooks); null = removido no Shopify
+    function updateShopifyProduct(productId, product) {
+        loadShopifyProducts();
+        if (product) {
+            shopifyProducts.set(productId, product);
+        } else {
+            shopifyProducts.delete(productId);
+        }
+        saveShopifyProducts();
+    }
+
+    function getProducts() {
+        return state.products;
+    }
+
+    function getLastSync() {
+        return state.lastSync;
+    }
+
+    function getSyncHistory() {
+        return state.syncHistory;
+    }
+
+    function getSyncRecord(id) {
+        return state.syncHistory.find(record => record.id === id) || null;
+    }
+
+    function diffFile(id) {
+        return path.join(diffsDir, `sync-${id}.json`);
+    }
+
+    // Diff completo de uma sincronização; null se não tiver (falhou) ou já foi apagado
+    function getSyncDiff(id) {
+        try {
+            return fs.existsSync(diffFile(id)) ? JSON.parse(fs.readFileSync(diffFile(id), 'utf8')) : null;
+        } catch (error) {
+            console.error(`❌ Erro ao carregar o diff da sincronização ${id}:`, error.message);
+            return null;
+        }
+    }
+
+    // Stores antigos guardavam o diff dentro do histórico: passar para ficheiros à parte
+    function moveInlineDiffs() {
+        const records = state.syncHistory.filter(record => record.diff);
+        if (records.length === 0) return;
+        records.forEach(record => {
+            writeFileAtomic(diffFile(record.id), JSON.stringify(record.diff));
+            delete record.diff;
+            record.has_diff = true;
+        });
+        saveStore();
+    }
+
+    function getProductTimestamps(id) {
+        return state.productTimestamps[id] || null;
+    }
+
+    // Substituir o catálogo, atualizando o modified_at só das linhas que mudaram
+    function setProducts(formattedProducts, { syncedAt } = {}) {
+        const now = new Date().toISOString();
+        const previous = new Map(state.products.map(p => [p.id, JSON.stringify(p)]));
+        const timestamps = {};
+
+        formattedProducts.forEach(product => {
+            const old = state.productTimestamps[product.id];
+            const changed = previous.get(product.id) !== JSON.stringify(product);
+            timestamps[product.id] = {
+                shopify_updated_at: product.updated_at || null,
+                modified_at: changed || !old ? now : old.modified_at
+            };
+        });
+
+        state.products = formattedProducts;
+        state.productTimestamps = timestamps;
+        if (syncedAt) {
+            state.lastSync = syncedAt;
+        }
+        saveStore();
+    }
+
+    function getExcludedProducts() {
+        return state.excludedProducts;
+    }
+
+    function setExcludedProducts(excluded) {
+        state.excludedProducts = excluded;
+        saveStore();
+    }
+
+    // Atualizar a exclusão de um só produto (webhooks); null = voltou a ser incluído
+    function updateExcludedProduct(productId, exclusion) {
+        state.excludedProducts = state.excludedProducts.filter(entry => entry.product_id !== productId);
+        if (exclusion) {
+            state.excludedProducts.push(exclusion);
+        }
+        saveStore();
+    }
+
+    function getValidation() {
+        return state.validation;
+    }
+
+    function setValidation(report) {
+        state.validation = report;
+        saveStore();
+    }
+
+    function getJobHistory() {
+        return state.jobHistory;
+    }
+
+    function getJobRecord(id) {
+        return state.jobHistory.find(job => job.id === id) || null;
+    }
+
+    function nextJobId() {
+        return (state.jobHistory[0]?.id || 0) + 1;
+    }
+
+    // Inserir ou atualizar um trabalho no histórico
+    function saveJobRecord(job) {
+        const index = state.jobHistory.findIndex(entry => entry.id === job.id);
+        if (index === -1) {
+            state.jobHistory.unshift({ ...job });
+            state.jobHistory = state.jobHistory.slice(0, MAX_JOB_HISTORY);
+        } else {
+            state.jobHistory[index] = { ...job };
+        }
+        saveStore();
+    }
+
+    function getAlerts() {
+        return state.alerts;
+    }
+
+    function getStockLevels() {
+        return state.stockLevels;
+    }
+
+    // Guardar os níveis de stock e os alertas novos; os alertas pendentes das linhas que mudaram
+    // outra vez de nível (changedIds) ficam resolvidos
+    function recordStockAlerts(newAlerts, levels, changedIds = []) {
+        const now = new Date().toISOString();
+        const resolvedIds = new Set([...changedIds, ...newAlerts.map(alert => alert.id)]);
+        state.alerts.forEach(alert => {
+            if (!alert.resolved_at && resolvedIds.has(alert.id)) {
+                alert.resolved_at = now;
+            }
+        });
+
+        let lastId = state.alerts.reduce((max, alert) => Math.max(max, alert.alert_id), 0);
+        const entries = newAlerts.map(alert => ({
+            alert_id: ++lastId,
+            ...alert,
+            created_at: now,
+            resolved_at: null,
+            acknowledged_at: null,
+            acknowledged_by: null
+        }));
+
+        state.alerts = [...[...entries].reverse(), ...state.alerts].slice(0, MAX_ALERTS);
+        state.stockLevels = levels;
+        saveStore();
+        return entries;
+    }
+
+    // Marcar um alerta como visto; null se não existir
+    function acknowledgeAlert(alertId, username) {
+        const alert = state.alerts.find(entry => entry.alert_id === alertId);
+        if (!alert) return null;
+        if (!alert.acknowledged_at) {
+            alert.acknowledged_at = new Date().toISOString();
+            alert.acknowledged_by = username;
+            saveStore();
+        }
+        return alert;
+    }
+
+    function getAlertMutes() {
+        return state.alertMutes;
+    }
+
+    // Silenciar os alertas de um produto (mute = { until, muted_by, muted_at }); null = reativar
+    function setAlertMute(productId, mute) {
+        if (mute) {
+            state.alertMutes[productId] = mute;
+        } else {
+            delete state.alertMutes[productId];
+        }
+        saveStore();
+    }
+
+    function getProductOverrides() {
+        return state.productOverrides;
+    }
+
+    // Guardar a alteração manual de uma linha; null = voltar aos dados do Shopify
+    function setProductOverride(id, override) {
+        if (override) {
+            state.productOverrides[id] = override;
+        } else {
+            delete state.productOverrides[id];
+        }
+        saveStore();
+    }
+
+    function getPublishStatus() {
+        return state.publishStatus;
+    }
+
+    // Atualizar o estado de publicação de vários itens de uma vez
+    function updatePublishStatus(entries) {
+        entries.forEach(entry => {
+            state.publishStatus[entry.id] = entry;
+        });
+        saveStore();
+    }
+
+    // Registar uma sincronização no histórico; devolve o registo com id
+    // O diff (se houver) vai para o ficheiro da sincronização e sai com ela do histórico
+    function addSyncRecord({ diff, ...record }) {
+        const lastId = state.syncHistory[0]?.id || 0;
+        const entry = { id: lastId + 1, ...record, has_diff: !!diff };
+        if (diff) {
+            writeFileAtomic(diffFile(entry.id), JSON.stringify(diff));
+        }
+
+        state.syncHistory.unshift(entry);
+        state.syncHistory.slice(MAX_SYNC_HISTORY).forEach(old => {
+            if (old.has_diff) fs.rmSync(diffFile(old.id), { force: true });
+        });
+        state.syncHistory = state.syncHistory.slice(0, MAX_SYNC_HISTORY);
+        saveStore();
+        return entry;
+    }
+
+    return {
+        loadStore,
+        saveStore,
+        getProducts,
+        getLastSync,
+        getSyncHistory,
+        getSyncRecord,
+        getSyncDiff,
+        getProductTimestamps,
+        setProducts,
+        addSyncRecord,
+        getShopifyProduct,
+        setShopifyProducts,
+        updateShopifyProduct,
+        getExcludedProducts,
+        setExcludedProducts,
+        updateExcludedProduct,
+        getValidation,
+        setValidation,
+        getJobHistory,
+        getJobRecord,
+        nextJobId,
+        saveJobRecord,
+        getPublishStatus,
+        updatePublishStatus,
+        getAlerts,
+        getStockLevels,
+        recordStockAlerts,
+        acknowledgeAlert,
+        getAlertMutes,
+        setAlertMute,
+        getProductOverrides,
+        setProductOverride
+    };
+}
+
+module.exports = { DATA_DIR, createStore };
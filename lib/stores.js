@@ -0,0 +1,130 @@
+// lib/stores.js - Perfis das lojas Shopify geridas por esta instância (config/stores.json)
+const fs = require('fs');
+
+const STORE_ID_PATTERN = /^[a-z0-9-]+$/;
+// Versão da Admin API por omissão (cada loja pode fixar a sua com "api_version")
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+// Leitura dos produtos: API GraphQL (por omissão) ou o products.json da API REST
+const PRODUCTS_APIS = ['graphql', 'rest'];
+const SHOPIFY_PRODUCTS_API = process.env.SHOPIFY_PRODUCTS_API || 'graphql';
+// A leitura GraphQL usa o productsCount, que só existe a partir desta versão
+const GRAPHQL_MIN_API_VERSION = '2024-04';
+const PROFILE_KEYS = [
+    'id', 'name', 'shop', 'token_env', 'webhook_secret_env', 'api_version', 'products_api', 'locations',
+    'storefront_url', 'mapping', 'filters', 'markets', 'alerts', 'meta', 'share'
+];
+const META_KEYS = ['publish', 'dry_run', 'catalog_id', 'token_env', 'graph_url', 'api_version'];
+const SHARE_KEYS = ['phone', 'utm'];
+
+// Devolve a lista de erros (vazia se os perfis forem válidos)
+function validateStoreProfiles(config) {
+    if (!config || !Array.isArray(config.stores) || config.stores.length === 0) {
+        return ['o ficheiro deve ter uma lista "stores" com pelo menos uma loja'];
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    config.stores.forEach((profile, index) => {
+        const where = `stores[${index}]${profile?.id ? ` (${profile.id})` : ''}`;
+        if (!profile || typeof profile !== 'object') {
+            errors.push(`${where}: o perfil deve ser um objeto`);
+            return;
+        }
+
+        Object.keys(profile).forEach(key => {
+            if (!PROFILE_KEYS.includes(key)) {
+                errors.push(`${where}.${key}: opção desconhecida (válidas: ${PROFILE_KEYS.join(', ')})`);
+            }
+        });
+
+        if (!STORE_ID_PATTERN.test(profile.id || '')) {
+            errors.push(`${where}.id: obrigatório, só minúsculas, números e "-"`);
+        } else if (ids.has(profile.id)) {
+            errors.push(`${where}.id: repetido`);
+        }
+        ids.add(profile.id);
+
+        if (!profile.shop) {
+            errors.push(`${where}.shop: obrigatório (ex: "a-minha-loja", sem .myshopify.com)`);
+        }
+        if (!profile.token_env) {
+            errors.push(`${where}.token_env: indica a variável de ambiente com o token Shopify`);
+        }
+        if (profile.api_version !== undefined && !API_VERSION_PATTERN.test(profile.api_version)) {
+            errors.push(`${where}.api_version: versão trimestral do Shopify, ex: "2024-10"`);
+        }
+        if (profile.products_api !== undefined && !PRODUCTS_APIS.includes(profile.products_api)) {
+            errors.push(`${where}.products_api: deve ser um de ${PRODUCTS_APIS.join(', ')}`);
+        }
+        // Versões no formato "AAAA-MM" comparam-se como texto ("unstable" tem tudo)
+        const apiVersion = profile.api_version ?? SHOPIFY_API_VERSION;
+        if ((profile.products_api ?? SHOPIFY_PRODUCTS_API) === 'graphql' && apiVersion !== 'unstable'
+            && API_VERSION_PATTERN.test(apiVersion) && apiVersion < GRAPHQL_MIN_API_VERSION) {
+            errors.push(`${where}.api_version: a leitura GraphQL precisa da versão ${GRAPHQL_MIN_API_VERSION} ou mais recente `
+                + `(recebido "${apiVersion}"); com versões anteriores usa "products_api": "rest"`);
+        }
+        if (profile.locations !== undefined && (!Array.isArray(profile.locations) || profile.locations.length === 0
+            || profile.locations.some(id => !Number.isInteger(id) || id <= 0))) {
+            errors.push(`${where}.locations: lista de IDs de localizações do Shopify, ex: [61234567890]`);
+        }
+        if (!/^https?:\/\//.test(profile.storefront_url || '')) {
+            errors.push(`${where}.storefront_url: obrigatório, ex: "https://bastidorcolorido.pt"`);
+        }
+        if (profile.meta !== undefined) {
+            Object.keys(profile.meta || {}).forEach(key => {
+                if (!META_KEYS.includes(key)) {
+                    errors.push(`${where}.meta.${key}: opção desconhecida (válidas: ${META_KEYS.join(', ')})`);
+                }
+            });
+        }
+        if (profile.share !== undefined) {
+            const share = profile.share || {};
+            Object.keys(share).forEach(key => {
+                if (!SHARE_KEYS.includes(key)) {
+                    errors.push(`${where}.share.${key}: opção desconhecida (válidas: ${SHARE_KEYS.join(', ')})`);
+                }
+            });
+            if (share.phone !== undefined && !/^\d{8,15}$/.test(share.phone)) {
+                errors.push(`${where}.share.phone: número internacional só com dígitos, ex: "351912345678"`);
+            }
+            if (share.utm !== undefined && (typeof share.utm !== 'object' || Array.isArray(share.utm))) {
+                errors.push(`${where}.share.utm: deve ser um objeto, ex: { "campaign": "natal" }`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+// Carregar e validar os perfis; lança um erro com todos os problemas encontrados
+function loadStoreProfiles(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Lojas inválidas (${filePath}): ${error.message}`);
+    }
+
+    const errors = validateStoreProfiles(config);
+    if (!API_VERSION_PATTERN.test(SHOPIFY_API_VERSION)) {
+        errors.push(`SHOPIFY_API_VERSION: versão trimestral do Shopify, ex: "2024-10" (recebido "${SHOPIFY_API_VERSION}")`);
+    }
+    if (!PRODUCTS_APIS.includes(SHOPIFY_PRODUCTS_API)) {
+        errors.push(`SHOPIFY_PRODUCTS_API: deve ser um de ${PRODUCTS_APIS.join(', ')} (recebido "${SHOPIFY_PRODUCTS_API}")`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Lojas inválidas (${filePath}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return config.stores.map(profile => ({
+        ...profile,
+        name: profile.name || profile.id,
+        api_version: profile.api_version || SHOPIFY_API_VERSION,
+        products_api: profile.products_api || SHOPIFY_PRODUCTS_API,
+        storefront_url: profile.storefront_url.replace(/\/+$/, '')
+    }));
+}
+
+module.exports = { loadStoreProfiles, validateStoreProfiles };
@@ -0,0 +1,168 @@
+// lib/validation.js - Validação da qualidade do catálogo antes das exportações
+const axios = require('axios');
+const { isAvailable } = require('./inventory');
+
+const VALIDATION_CONFIG = {
+    // false para não testar os links (ex: sem internet)
+    checkUrls: process.env.VALIDATION_CHECK_URLS !== 'false',
+    // true para deixar fora das exportações os produtos com erros
+    excludeInvalid: process.env.VALIDATION_EXCLUDE_INVALID === 'true',
+    urlTimeoutMs: 5000,
+    urlConcurrency: 5
+};
+
+// Limites do catálogo Meta / WhatsApp
+const TITLE_MAX = 150;
+const DESCRIPTION_MAX = 9999;
+const DESCRIPTION_MIN = 20;
+
+function issue(code, message) {
+    return { code, message };
+}
+
+// Testar um link; alguns servidores não aceitam HEAD e respondem 403/405
+async function checkUrl(url, config) {
+    const options = { timeout: config.urlTimeoutMs, maxRedirects: 5, validateStatus: () => true };
+    try {
+        let response = await axios.head(url, options);
+        if (response.status === 403 || response.status === 405) {
+            response = await axios.get(url, { ...options, headers: { Range: 'bytes=0-0' }, responseType: 'stream' });
+            response.data?.destroy?.();
+        }
+        return { ok: response.status < 400, status: response.status };
+    } catch (error) {
+        return { ok: false, status: null, error: error.code || error.message };
+    }
+}
+
+// Testar vários links ao mesmo tempo, no máximo `limit` de cada vez
+async function checkUrls(urls, config) {
+    const results = new Map();
+    const queue = [...new Set(urls)];
+
+    async function worker() {
+        while (queue.length > 0) {
+            const url = queue.shift();
+            results.set(url, await checkUrl(url, config));
+        }
+    }
+
+    await Promise.all(Array.from({ length: config.urlConcurrency }, worker));
+    return results;
+}
+
+// Problemas de uma linha que não dependem das outras
+function checkProduct(product, labels) {
+    const errors = [];
+    const warnings = [];
+    const name = (product.name || '').trim();
+    const description = (product.description || '').trim();
+
+    if (!product.image_url) errors.push(issue('missing_image', 'Sem imagem'));
+    if (!name) {
+        errors.push(issue('missing_title', 'Sem título'));
+    } else if (name.length > TITLE_MAX) {
+        errors.push(issue('title_too_long', `Título com ${name.length} caracteres (máximo ${TITLE_MAX})`));
+    }
+    if (!description) {
+        errors.push(issue('missing_description', 'Sem descrição'));
+    } else if (description.length > DESCRIPTION_MAX) {
+        errors.push(issue('description_too_long', `Descrição com ${description.length} caracteres (máximo ${DESCRIPTION_MAX})`));
+    } else if (description.length < DESCRIPTION_MIN) {
+        warnings.push(issue('description_short', `Descrição muito curta (${description.length} caracteres)`));
+    }
+    if (!(product.price_amount > 0)) {
+        errors.push(issue('invalid_price', `Preço inválido (${product.price || 'vazio'})`));
+    }
+
+    const expected = isAvailable(product) ? labels.in_stock : labels.out_of_stock;
+    if (product.availability !== expected) {
+        errors.push(issue('invalid_availability', `Disponibilidade "${product.availability}" não corresponde ao stock (${product.stock})`));
+    }
+    if (!product.sku) warnings.push(issue('missing_sku', 'Sem SKU'));
+
+    [['image_url', 'imagem'], ['url', 'página do produto']].forEach(([field, label]) => {
+        if (product[field] && !/^https?:\/\/[^\s]+$/.test(product[field])) {
+            errors.push(issue(`invalid_${field}`, `Link da ${label} inválido: ${product[field]}`));
+        }
+    });
+    if (!product.url) warnings.push(issue('missing_url', 'Sem link para a página do produto'));
+
+    return { errors, warnings };
+}
+
+// Problemas dos links testados (os que dependem de pedidos HTTP)
+function isUrlIssue(entry) {
+    return entry.code.startsWith('unreachable_');
+}
+
+// Validar as linhas formatadas; labels são as etiquetas de disponibilidade do mapeamento
+// urlIds: testar só os links destas linhas (ex: as alteradas por webhooks); as outras ficam com os
+// problemas de links do relatório anterior (previous)
+async function validateCatalog(formattedProducts, {
+    labels,
+    checkUrls: testUrls = VALIDATION_CONFIG.checkUrls,
+    urlIds = null,
+    previous = null
+} = {}) {
+    const results = formattedProducts.map(product => ({ product, ...checkProduct(product, labels) }));
+
+    // Retailer ID repetido: o Meta rejeita; SKU repetido: provável erro no Shopify
+    const countBy = field => formattedProducts.reduce((counts, product) => {
+        if (product[field]) counts.set(product[field], (counts.get(product[field]) || 0) + 1);
+        return counts;
+    }, new Map());
+    const ids = countBy('id');
+    const skus = countBy('sku');
+    results.forEach(({ product, errors, warnings }) => {
+        if (ids.get(product.id) > 1) errors.push(issue('duplicate_id', `Retailer ID ${product.id} repetido`));
+        if (skus.get(product.sku) > 1) {
+            warnings.push(issue('duplicate_sku', `SKU ${product.sku} usado em ${skus.get(product.sku)} variantes`));
+        }
+    });
+
+    if (testUrls) {
+        const urls = formattedProducts
+            .filter(product => !urlIds || urlIds.has(product.id))
+            .flatMap(product => [product.image_url, product.url])
+            .filter(url => /^https?:\/\//.test(url || ''));
+        const checked = await checkUrls(urls, VALIDATION_CONFIG);
+        const previousItems = new Map((previous?.items || []).map(item => [item.id, item]));
+
+        results.forEach(({ product, errors, warnings }) => {
+            if (urlIds && !urlIds.has(product.id)) {
+                const old = previousItems.get(product.id);
+                errors.push(...(old?.errors || []).filter(isUrlIssue));
+                warnings.push(...(old?.warnings || []).filter(isUrlIssue));
+                return;
+            }
+            [['image_url', 'A imagem'], ['url', 'A página do produto']].forEach(([field, label]) => {
+                const result = checked.get(product[field]);
+                if (!result || result.ok) return;
+                if (result.status) {
+                    errors.push(issue(`unreachable_${field}`, `${label} responde ${result.status}`));
+                } else {
+                    // Falha de rede: pode ser temporária
+                    warnings.push(issue(`unreachable_${field}`, `${label} não respondeu (${result.error})`));
+                }
+            });
+        });
+    }
+
+    const items = results
+        .filter(({ errors, warnings }) => errors.length > 0 || warnings.length > 0)
+        .map(({ product, errors, warnings }) => ({ id: product.id, name: product.name, errors, warnings }));
+
+    return {
+        checked_at: new Date().toISOString(),
+        urls_checked: testUrls,
+        total: formattedProducts.length,
+        valid: formattedProducts.length - items.filter(item => item.errors.length > 0).length,
+        errors: items.reduce((sum, item) => sum + item.errors.length, 0),
+        warnings: items.reduce((sum, item) => sum + item.warnings.length, 0),
+        invalid_ids: items.filter(item => item.errors.length > 0).map(item => item.id),
+        items
+    };
+}
+
+module.exports = { VALIDATION_CONFIG, TITLE_MAX, DESCRIPTION_MAX, validateCatalog };
@@ -0,0 +1,9 @@
+// scripts/create-token.js - Gerar um token de API e o token_hash para config/auth.json
+// Uso: npm run create-token
+const crypto = require('crypto');
+const { hashToken } = require('../lib/auth');
+
+const token = crypto.randomBytes(32).toString('hex');
+
+console.log(`Token (guarda-o, não volta a ser mostrado): ${token}`);
+console.log(`token_hash para config/auth.json: ${hashToken(token)}`);
@@ -0,0 +1,11 @@
+// scripts/hash-password.js - Gerar o password_hash de um utilizador para config/auth.json
+// Uso: npm run hash-password -- <password>
+const { hashPassword } = require('../lib/auth');
+
+const password = process.argv[2];
+if (!password) {
+    console.error('Uso: npm run hash-password -- <password>');
+    process.exit(1);
+}
+
+console.log(hashPassword(password));
@@ -4,194 +4,1636 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const crypto = require('crypto');
+const readline = require('readline');
+const { DATA_DIR, createStore } = require('./lib/store');
+const { computeSyncDiff } = require('./lib/diff');
+const metaCatalog = require('./lib/meta-catalog');
+const { toCSV } = require('./lib/csv');
+const mapping = require('./lib/mapping');
+const filters = require('./lib/filters');
+const auth = require('./lib/auth');
+const { createJobQueue } = require('./lib/jobs');
+const scheduler = require('./lib/scheduler');
+const { createExportVersions } = require('./lib/exports');
+const { loadStoreProfiles } = require('./lib/stores');
+const markets = require('./lib/markets');
+const { VALIDATION_CONFIG, validateCatalog } = require('./lib/validation');
+const { htmlToText } = require('./lib/html-text');
+const share = require('./lib/share');
+const alerts = require('./lib/alerts');
+const productQuery = require('./lib/product-query');
+const overrides = require('./lib/overrides');
+const { resolveVariantStock, isAvailable } = require('./lib/inventory');
+const shopifyGraphQLQueries = require('./lib/shopify-graphql');
 
 const app = express();
+// Produtos com muitas variantes ou imagens passam dos 100kb por omissão: um 413 antes da assinatura
+// faria o Shopify repetir o webhook até o desativar
+const WEBHOOK_BODY_LIMIT = '10mb';
+app.use('/webhook', express.json({
+    limit: WEBHOOK_BODY_LIMIT,
+    // Guardar o corpo original para validar a assinatura HMAC dos webhooks
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.json());
-app.use(cors());
-app.use(express.static('public'));
-
-// Configurações (vais substituir pelos teus dados)
-const SHOPIFY_CONFIG = {
-    shop: 'bastidor-colorido-2-0',
-    accessToken: process.env.SHOPIFY_TOKEN, // O token que obtiveste
-    apiVersion: '2023-10'
+app.use(express.urlencoded({ extended: false })); // Formulário de login
+
+// Lojas Shopify sincronizadas por este servidor; a primeira é a loja por omissão
+const STORES_FILE = process.env.STORES_CONFIG || path.join(__dirname, 'config', 'stores.json');
+
+// Mapeamento dos campos do catálogo por omissão (cada loja pode ter o seu), validado no arranque
+const MAPPING_FILE = process.env.MAPPING_CONFIG || path.join(__dirname, 'config', 'mapping.json');
+const MAPPING_TRANSFORMS = {
+    clean_html: cleanDescription,
+    plain_text: value => htmlToText(value, { markup: false }),
+    uppercase: value => value.toUpperCase(),
+    lowercase: value => value.toLowerCase()
 };
 
-// Base de dados em memória
-let products = [];
-let lastSync = null;
+// Regras de inclusão/exclusão de produtos no catálogo (por omissão)
+const FILTERS_FILE = process.env.FILTERS_CONFIG || path.join(__dirname, 'config', 'filters.json');
 
-// Função para buscar produtos do Shopify
-async function getShopifyProducts() {
-    try {
-        console.log('🔄 Buscando produtos do Shopify...');
-        
-        const response = await axios.get(
-            `https://${SHOPIFY_CONFIG.shop}.myshopify.com/admin/api/${SHOPIFY_CONFIG.apiVersion}/products.json?limit=250`,
-            {
-                headers: {
-                    'X-Shopify-Access-Token': SHOPIFY_CONFIG.accessToken
+// Mercados (moeda, formato e idioma) para que se geram exportações; o primeiro é o principal
+const MARKETS_FILE = process.env.MARKETS_CONFIG || path.join(__dirname, 'config', 'markets.json');
+
+// Limites de stock e canais dos alertas (por omissão)
+const ALERTS_FILE = process.env.ALERTS_CONFIG || path.join(__dirname, 'config', 'alerts.json');
+
+// Utilizadores, tokens de API e origens CORS (AUTH_DISABLED=true só para desenvolvimento local)
+const AUTH_FILE = process.env.AUTH_CONFIG || path.join(__dirname, 'config', 'auth.json');
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+// Sincronizações automáticas (expressões cron)
+const SCHEDULE_FILE = process.env.SCHEDULE_CONFIG || path.join(__dirname, 'config', 'schedule.json');
+
+let storeContexts;
+let authConfig;
+let syncSchedule;
+try {
+    storeContexts = loadStoreProfiles(STORES_FILE).map(createStoreContext);
+    authConfig = AUTH_DISABLED ? null : auth.loadAuthConfig(AUTH_FILE);
+    syncSchedule = scheduler.loadSchedule(SCHEDULE_FILE);
+    
+    const unknownStores = syncSchedule.syncs
+        .flatMap(entry => entry.stores || [])
+        .filter(id => !storeContexts.some(ctx => ctx.id === id));
+    if (unknownStores.length > 0) {
+        throw new Error(`Agendamento inválido (${SCHEDULE_FILE}): lojas desconhecidas ${unknownStores.join(', ')}`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+if (AUTH_DISABLED) {
+    console.warn('⚠️ Autenticação desativada (AUTH_DISABLED=true): qualquer pessoa pode sincronizar!');
+    app.use(cors());
+    app.use((req, res, next) => {
+        req.user = { username: 'local', role: 'operator' };
+        next();
+    });
+} else {
+    // CORS só para as origens configuradas
+    app.use(cors({ origin: authConfig.corsOrigins, credentials: true }));
+    app.use(auth.authenticate(authConfig));
+}
+
+// Comentário enviado às ligações de progresso (SSE) paradas, para os proxies não as fecharem
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+// Tempo de espera para agrupar webhooks seguidos numa só regeneração (0 nos testes)
+const WEBHOOK_DEBOUNCE_MS = Number(process.env.WEBHOOK_DEBOUNCE_MS ?? 10 * 1000);
+
+const defaultStore = storeContexts[0];
+const storesById = new Map(storeContexts.map(ctx => [ctx.id, ctx]));
+
+// Base de dados persistente de cada loja (data/<loja>/store.json), carregada no arranque
+migrateLegacyData(defaultStore);
+storeContexts.forEach(ctx => {
+    ctx.store.loadStore();
+    ctx.exports.loadExports();
+});
+
+// Tudo o que pertence a uma loja: ligação Shopify, mapeamento, filtros, dados e fila
+function createStoreContext(profile, index) {
+    const dataDir = path.join(DATA_DIR, profile.id);
+    const configFile = (file, fallback) => (file ? path.resolve(__dirname, file) : fallback);
+    
+    const ctx = {
+        id: profile.id,
+        name: profile.name,
+        shopify: {
+            shop: profile.shop,
+            accessToken: process.env[profile.token_env],
+            apiVersion: profile.api_version,
+            // Segredo da app para assinar webhooks
+            webhookSecret: profile.webhook_secret_env && process.env[profile.webhook_secret_env],
+            storefrontUrl: profile.storefront_url,
+            // Localizações cujo stock conta para o catálogo (null = todas)
+            locationIds: profile.locations || null,
+            // Leitura dos produtos: "graphql" (com bulk operations nos catálogos grandes) ou "rest"
+            productsApi: profile.products_api
+        },
+        mapping: mapping.loadMapping(configFile(profile.mapping, MAPPING_FILE), MAPPING_TRANSFORMS),
+        filterRules: filters.loadFilters(configFile(profile.filters, FILTERS_FILE)),
+        markets: markets.loadMarkets(configFile(profile.markets, MARKETS_FILE)),
+        alertConfig: alerts.loadAlerts(configFile(profile.alerts, ALERTS_FILE)),
+        alertLog: path.join(dataDir, 'alertas.log'),
+        // Sem bloco "meta", só a loja por omissão usa as variáveis META_*
+        meta: metaCatalog.buildMetaConfig(profile.meta || (index === 0 ? null : {})),
+        // Mensagens de partilha: telefone da loja para o wa.me e parâmetros UTM dos links
+        share: {
+            phone: profile.share?.phone,
+            utm: { ...share.DEFAULT_UTM, ...profile.share?.utm }
+        },
+        store: createStore(dataDir),
+        exports: createExportVersions(path.join(dataDir, 'exports')),
+        exportTimer: null,
+        // Linhas alteradas por webhooks desde a última regeneração (só estas têm os links testados)
+        patchedIds: new Set()
+    };
+    
+    // O products.json não traz as coleções: as regras por coleção precisam da API GraphQL
+    if (ctx.shopify.productsApi === 'rest' && ctx.filterRules.some(rule => rule.field === 'collections')) {
+        throw new Error(`Loja "${ctx.id}": os filtros por "collections" precisam de "products_api": "graphql"`);
+    }
+    
+    // Só uma sincronização de cada vez por loja: os pedidos seguintes esperam na fila
+    ctx.queue = createJobQueue(ctx.store, (job, progress) => syncProducts(ctx, progress));
+    return ctx;
+}
+
+// Dados de antes das várias lojas (data/store.json e data/exports) passam para a loja por omissão
+function migrateLegacyData(ctx) {
+    const legacyStore = path.join(DATA_DIR, 'store.json');
+    const storeDir = path.join(DATA_DIR, ctx.id);
+    if (!fs.existsSync(legacyStore) || fs.existsSync(path.join(storeDir, 'store.json'))) return;
+    
+    fs.mkdirSync(storeDir, { recursive: true });
+    fs.renameSync(legacyStore, path.join(storeDir, 'store.json'));
+    
+    const legacyExports = path.join(DATA_DIR, 'exports');
+    if (fs.existsSync(legacyExports) && !fs.existsSync(path.join(storeDir, 'exports'))) {
+        fs.renameSync(legacyExports, path.join(storeDir, 'exports'));
+    }
+    console.log(`📦 Dados antigos movidos para a loja "${ctx.id}" (${storeDir})`);
+}
+
+// Limites da API Shopify
+const SHOPIFY_ADMIN_URL = process.env.SHOPIFY_ADMIN_URL;
+const SHOPIFY_PAGE_LIMIT = 250;
+const SHOPIFY_MAX_RETRIES = 5;
+// IDs por pedido GraphQL (preços por mercado e traduções), para não passar o limite de custo
+const SHOPIFY_GRAPHQL_BATCH = 100;
+// Máximo de inventory_item_ids por pedido ao inventory_levels.json
+const SHOPIFY_INVENTORY_BATCH = 50;
+// Produtos por página GraphQL; acima de SHOPIFY_BULK_THRESHOLD produtos usa-se uma bulk operation
+const SHOPIFY_GRAPHQL_PRODUCTS_PAGE = 5;
+const SHOPIFY_BULK_THRESHOLD = parseInt(process.env.SHOPIFY_BULK_THRESHOLD, 10) || 250;
+const SHOPIFY_BULK_POLL_MS = 3000;
+const SHOPIFY_BULK_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Percentagem da barra de progresso no fim de cada etapa da sincronização
+// (a leitura dos produtos vai até SYNC_STAGES.fetch, conforme os produtos lidos)
+const SYNC_STAGES = {
+    fetch: 60,
+    inventory: 65,
+    markets: 70,
+    filter: 75,
+    format: 80,
+    alerts: 85,
+    validate: 90,
+    export: 95,
+    publish: 100
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Extrair o URL da próxima página do header Link (cursor page_info)
+function parseNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader
+        .split(',')
+        .map(part => part.match(/<([^>]+)>;\s*rel="?next"?/))
+        .find(Boolean);
+    return match ? match[1] : null;
+}
+
+// URL da Admin API de uma loja, ex: shopifyAdminUrl(ctx, 'products.json')
+// SHOPIFY_ADMIN_URL substitui https://<loja>.myshopify.com (ex: o mock local dos testes)
+function shopifyAdminUrl(ctx, endpoint) {
+    const base = SHOPIFY_ADMIN_URL || `https://${ctx.shopify.shop}.myshopify.com`;
+    return `${base}/admin/api/${ctx.shopify.apiVersion}/${endpoint}`;
+}
+
+// Pedido à API Shopify com espera em caso de 429 (rate limit)
+// send(headers) faz o pedido axios propriamente dito
+async function shopifyRequest(ctx, send) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await send({
+                'X-Shopify-Access-Token': ctx.shopify.accessToken
+            });
+            
+            // Abrandar antes de esgotar o "balde" de pedidos (ex: "39/40")
+            const callLimit = response.headers['x-shopify-shop-api-call-limit'];
+            if (callLimit) {
+                const [used, max] = callLimit.split('/').map(Number);
+                if (max && used >= max - 2) {
+                    await sleep(1000);
                 }
             }
+            
+            return response;
+        } catch (error) {
+            if (error.response?.status !== 429 || attempt >= SHOPIFY_MAX_RETRIES) {
+                throw error;
+            }
+            
+            const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+            const waitMs = (retryAfter > 0 ? retryAfter : 2 ** attempt) * 1000;
+            console.warn(`⏳ [${ctx.id}] Limite de pedidos Shopify atingido, a aguardar ${waitMs / 1000}s...`);
+            await sleep(waitMs);
+        }
+    }
+}
+
+function shopifyGet(ctx, url) {
+    return shopifyRequest(ctx, headers => axios.get(url, { headers }));
+}
+
+// Consulta à Admin API GraphQL (o custo é limitado por pedido: usar lotes pequenos)
+async function shopifyGraphQL(ctx, query, variables) {
+    for (let attempt = 0; ; attempt++) {
+        const response = await shopifyRequest(ctx, headers =>
+            axios.post(shopifyAdminUrl(ctx, 'graphql.json'), { query, variables }, { headers })
         );
+        const errors = response.data.errors || [];
+        
+        // O GraphQL responde 200 com THROTTLED em vez de 429
+        const throttled = errors.some(error => error.extensions?.code === 'THROTTLED');
+        if (throttled && attempt < SHOPIFY_MAX_RETRIES) {
+            console.warn(`⏳ [${ctx.id}] GraphQL Shopify limitado, a aguardar ${2 ** attempt}s...`);
+            await sleep(2 ** attempt * 1000);
+            continue;
+        }
+        if (errors.length > 0) {
+            throw new Error(`GraphQL Shopify: ${errors.map(error => error.message).join('; ')}`);
+        }
+        return response.data.data;
+    }
+}
+
+// Dividir uma lista em lotes de tamanho size
+function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Função para buscar produtos do Shopify (todas as páginas), pela API GraphQL ou REST
+// progress(event): progresso para o dashboard (ver SYNC_STAGES)
+async function getShopifyProducts(ctx, progress = () => {}) {
+    const useRest = ctx.shopify.productsApi === 'rest';
+    let allProducts = [];
+    let pages = 0;
+    
+    // Cada página lida avança a barra até SYNC_STAGES.fetch
+    const onPage = ({ pages: page, fetched, total }) => progress({
+        stage: 'fetch',
+        message: `Página ${page}: ${fetched}${total ? ` de ${total}` : ''} produtos lidos`,
+        percent: total ? Math.round(SYNC_STAGES.fetch * Math.min(fetched / total, 1)) : null,
+        pages: page,
+        fetched,
+        total
+    });
+    
+    try {
+        console.log(`🔄 [${ctx.id}] Buscando produtos do Shopify (${useRest ? 'REST' : 'GraphQL'})...`);
+        progress({ stage: 'fetch', message: `A ler os produtos do Shopify (${useRest ? 'REST' : 'GraphQL'})...`, percent: 0 });
+        
+        ({ products: allProducts, pages } = useRest
+            ? await fetchProductsRest(ctx, onPage)
+            : await fetchProductsGraphQL(ctx, onPage, progress));
+        
+        // Stock nas localizações escolhidas (o inventory_quantity soma todas)
+        await fetchInventoryLevels(ctx, allProducts);
+        progress({ stage: 'inventory', message: 'Stock das localizações lido', percent: SYNC_STAGES.inventory });
+        
+        // Os metafields não vêm no products.json: só os buscamos se o mapeamento os usa
+        if (useRest && mapping.usesMetafields(ctx.mapping)) {
+            for (const product of allProducts) {
+                await fetchProductMetafields(ctx, product);
+            }
+        }
+        
+        // Preços e traduções dos outros mercados
+        await fetchMarketData(ctx, allProducts);
+        if (ctx.markets.length > 1) {
+            progress({ stage: 'markets', message: 'Preços e traduções dos outros mercados lidos', percent: SYNC_STAGES.markets });
+        }
         
-        console.log(`✅ ${response.data.products.length} produtos encontrados`);
-        return response.data.products;
+        console.log(`✅ [${ctx.id}] ${allProducts.length} produtos encontrados em ${pages} página(s)`);
+        return { products: allProducts, pages };
     } catch (error) {
-        console.error('❌ Erro ao buscar produtos:', error.response?.data || error.message);
-        return [];
+        // Um catálogo incompleto é pior que nenhum: não devolver páginas parciais
+        console.error(`❌ [${ctx.id}] Erro ao buscar produtos:`, error.response?.data || error.message);
+        return { products: [], pages, error: error.message };
+    }
+}
+
+// products.json, 250 produtos por página (sem metafields nem coleções)
+// onPage({ pages, fetched, total }) depois de cada página
+async function fetchProductsRest(ctx, onPage = () => {}) {
+    const products = [];
+    let pages = 0;
+    // O total só serve para o progresso (o products.json não diz quantas páginas faltam):
+    // se o pedido falhar, a sincronização continua sem percentagem
+    let total = null;
+    try {
+        ({ data: { count: total } } = await shopifyGet(ctx, shopifyAdminUrl(ctx, 'products/count.json')));
+    } catch (error) {
+        console.warn(`⚠️ [${ctx.id}] Total de produtos indisponível:`, error.response?.status || error.message);
+    }
+    let url = shopifyAdminUrl(ctx, `products.json?limit=${SHOPIFY_PAGE_LIMIT}`);
+    
+    while (url) {
+        const response = await shopifyGet(ctx, url);
+        pages++;
+        products.push(...response.data.products);
+        console.log(`📄 Página ${pages}: ${response.data.products.length} produtos`);
+        onPage({ pages, fetched: products.length, total });
+        
+        url = parseNextPageUrl(response.headers.link);
+    }
+    return { products, pages };
+}
+
+// Produtos com variantes, coleções, metafields e imagens numa só passagem
+// Catálogos pequenos: consultas paginadas; grandes: bulk operation (um ficheiro JSONL)
+async function fetchProductsGraphQL(ctx, onPage = () => {}, progress = () => {}) {
+    const { productsCount } = await shopifyGraphQL(ctx, shopifyGraphQLQueries.PRODUCTS_COUNT_QUERY);
+    const total = productsCount.count;
+    if (total > SHOPIFY_BULK_THRESHOLD) {
+        console.log(`📦 [${ctx.id}] ${total} produtos: a usar uma bulk operation`);
+        const products = await fetchProductsBulk(ctx, progress);
+        onPage({ pages: 1, fetched: products.length, total });
+        return { products, pages: 1 };
+    }
+    
+    const products = [];
+    let pages = 0;
+    let after = null;
+    do {
+        const { products: page } = await shopifyGraphQL(ctx, shopifyGraphQLQueries.PRODUCTS_QUERY, {
+            first: SHOPIFY_GRAPHQL_PRODUCTS_PAGE,
+            after
+        });
+        pages++;
+        for (const node of shopifyGraphQLQueries.nodesOf(page)) {
+            await fetchRemainingVariants(ctx, node);
+            products.push(shopifyGraphQLQueries.fromPagedNode(node));
+        }
+        console.log(`📄 Página ${pages}: ${page.edges.length} produtos`);
+        onPage({ pages, fetched: products.length, total });
+        
+        after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+    
+    return { products, pages };
+}
+
+// Um produto pela API GraphQL (webhooks), no formato REST; null se já não existir
+async function fetchProductGraphQL(ctx, productId) {
+    const { product } = await shopifyGraphQL(ctx, shopifyGraphQLQueries.PRODUCT_QUERY, {
+        id: `gid://shopify/Product/${productId}`
+    });
+    if (!product) return null;
+    
+    await fetchRemainingVariants(ctx, product);
+    return shopifyGraphQLQueries.fromPagedNode(product);
+}
+
+// As consultas paginadas trazem só as primeiras variantes de cada produto
+async function fetchRemainingVariants(ctx, node) {
+    let pageInfo = node.variants.pageInfo;
+    while (pageInfo.hasNextPage) {
+        const { product } = await shopifyGraphQL(ctx, shopifyGraphQLQueries.VARIANTS_QUERY, {
+            id: node.id,
+            after: pageInfo.endCursor
+        });
+        node.variants.edges.push(...product.variants.edges);
+        pageInfo = product.variants.pageInfo;
+    }
+}
+
+// Lançar a bulk operation, esperar que o Shopify gere o ficheiro e lê-lo linha a linha
+async function fetchProductsBulk(ctx, progress = () => {}) {
+    const { bulkOperationRunQuery: run } = await shopifyGraphQL(ctx, shopifyGraphQLQueries.BULK_RUN_MUTATION, {
+        query: shopifyGraphQLQueries.BULK_PRODUCTS_QUERY
+    });
+    if (run.userErrors.length > 0) {
+        throw new Error(`Bulk operation Shopify: ${run.userErrors.map(error => error.message).join('; ')}`);
+    }
+    
+    const startedAt = Date.now();
+    let operation = run.bulkOperation;
+    while (['CREATED', 'RUNNING'].includes(operation.status)) {
+        if (Date.now() - startedAt > SHOPIFY_BULK_TIMEOUT_MS) {
+            throw new Error(`Bulk operation Shopify sem resposta ao fim de ${SHOPIFY_BULK_TIMEOUT_MS / 60000} minutos`);
+        }
+        await sleep(SHOPIFY_BULK_POLL_MS);
+        ({ node: operation } = await shopifyGraphQL(ctx, shopifyGraphQLQueries.BULK_STATUS_QUERY, { id: operation.id }));
+        // Sem total de objetos (variantes, imagens...) a barra não avança: só a mensagem
+        progress({ stage: 'fetch', message: `Bulk operation ${operation.status}: ${operation.objectCount || 0} objetos`, percent: null });
+    }
+    if (operation.status !== 'COMPLETED') {
+        throw new Error(`Bulk operation Shopify ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+    }
+    console.log(`📥 [${ctx.id}] Bulk operation concluída: ${operation.objectCount} objetos`);
+    
+    // Sem objetos o Shopify não gera ficheiro
+    const assembler = shopifyGraphQLQueries.createBulkAssembler();
+    if (!operation.url) return assembler.getProducts();
+    
+    // O ficheiro pode ser grande: ler em stream, sem o carregar todo para memória
+    const response = await axios.get(operation.url, { responseType: 'stream' });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+    for await (const line of lines) {
+        assembler.addLine(line);
+    }
+    return assembler.getProducts();
+}
+
+// Coleção (manual ou automática) pelo handle, com os IDs dos produtos pela ordem da coleção
+async function getShopifyCollection(ctx, handle) {
+    for (const type of ['custom_collections', 'smart_collections']) {
+        const response = await shopifyGet(ctx, shopifyAdminUrl(ctx, `${type}.json?handle=${encodeURIComponent(handle)}`));
+        const collection = response.data[type]?.[0];
+        if (!collection) continue;
+        
+        const productIds = [];
+        let url = shopifyAdminUrl(ctx, `collections/${collection.id}/products.json?limit=${SHOPIFY_PAGE_LIMIT}&fields=id`);
+        while (url) {
+            const page = await shopifyGet(ctx, url);
+            productIds.push(...page.data.products.map(product => product.id));
+            url = parseNextPageUrl(page.headers.link);
+        }
+        
+        return { id: collection.id, handle: collection.handle, title: collection.title, product_ids: productIds };
+    }
+    return null;
+}
+
+// Stock de cada variante nas localizações da loja (variant.location_stock), via InventoryLevels
+// Variantes sem controlo de inventário ficam de fora (estão sempre disponíveis)
+async function fetchInventoryLevels(ctx, products) {
+    const variants = products.flatMap(product => product.variants || [])
+        .filter(variant => variant.inventory_item_id && variant.inventory_management);
+    const byItem = new Map(variants.map(variant => [variant.inventory_item_id, variant]));
+    const locations = ctx.shopify.locationIds ? `&location_ids=${ctx.shopify.locationIds.join(',')}` : '';
+    
+    // Sem nível numa localização = sem stock lá
+    variants.forEach(variant => { variant.location_stock = 0; });
+    
+    for (const batch of chunk([...byItem.keys()], SHOPIFY_INVENTORY_BATCH)) {
+        let url = shopifyAdminUrl(ctx,
+            `inventory_levels.json?limit=${SHOPIFY_PAGE_LIMIT}&inventory_item_ids=${batch.join(',')}${locations}`);
+        while (url) {
+            const response = await shopifyGet(ctx, url);
+            response.data.inventory_levels.forEach(level => {
+                const variant = byItem.get(level.inventory_item_id);
+                if (variant) variant.location_stock += level.available || 0;
+            });
+            url = parseNextPageUrl(response.headers.link);
+        }
+    }
+    
+    return products;
+}
+
+// Localizações da loja no Shopify (para escolher os IDs de "locations" no perfil)
+async function getShopifyLocations(ctx) {
+    const response = await shopifyGet(ctx, shopifyAdminUrl(ctx, 'locations.json'));
+    return response.data.locations;
+}
+
+// Juntar os metafields ao produto (product.metafields)
+async function fetchProductMetafields(ctx, product) {
+    const response = await shopifyGet(ctx, shopifyAdminUrl(ctx, `products/${product.id}/metafields.json`));
+    product.metafields = response.data.metafields;
+    return product;
+}
+
+// Preços por mercado (variant.market_prices) e traduções (product.translations) via GraphQL
+async function fetchMarketData(ctx, products) {
+    const others = ctx.markets.slice(1);
+    if (others.length === 0 || products.length === 0) return products;
+    
+    const variants = products.flatMap(product => product.variants || []);
+    for (const market of others.filter(m => m.prices === 'shopify')) {
+        for (const batch of chunk(variants, SHOPIFY_GRAPHQL_BATCH)) {
+            const data = await shopifyGraphQL(ctx, `
+                query VariantPrices($ids: [ID!]!, $country: CountryCode!) {
+                    nodes(ids: $ids) {
+                        ... on ProductVariant {
+                            legacyResourceId
+                            contextualPricing(context: { country: $country }) {
+                                price { amount currencyCode }
+                            }
+                        }
+                    }
+                }`, {
+                ids: batch.map(variant => `gid://shopify/ProductVariant/${variant.id}`),
+                country: market.country
+            });
+            
+            const prices = new Map((data.nodes || []).filter(Boolean).map(node => [
+                node.legacyResourceId, node.contextualPricing?.price
+            ]));
+            batch.forEach(variant => {
+                const price = prices.get(String(variant.id));
+                // Moeda diferente da esperada: o mercado não está ativo para esse país
+                if (price && price.currencyCode === market.currency) {
+                    variant.market_prices = { ...variant.market_prices, [market.id]: price.amount };
+                }
+            });
+        }
+    }
+    
+    const languages = [...new Set(others.map(m => m.language).filter(Boolean))];
+    for (const language of languages) {
+        for (const batch of chunk(products, SHOPIFY_GRAPHQL_BATCH)) {
+            const data = await shopifyGraphQL(ctx, `
+                query Translations($ids: [ID!]!, $locale: String!, $first: Int!) {
+                    translatableResourcesByIds(first: $first, resourceIds: $ids) {
+                        edges {
+                            node {
+                                resourceId
+                                translations(locale: $locale) { key value }
+                            }
+                        }
+                    }
+                }`, {
+                ids: batch.map(product => `gid://shopify/Product/${product.id}`),
+                locale: language,
+                first: batch.length
+            });
+            
+            const byId = new Map(batch.map(product => [String(product.id), product]));
+            data.translatableResourcesByIds.edges.forEach(({ node }) => {
+                const product = byId.get(node.resourceId.split('/').pop());
+                if (!product || node.translations.length === 0) return;
+                product.translations = {
+                    ...product.translations,
+                    [language]: Object.fromEntries(node.translations.map(({ key, value }) => [key, value]))
+                };
+            });
+        }
     }
+    
+    return products;
 }
 
-// Função para formatar produtos para WhatsApp Business
-function formatProductsForWhatsApp(shopifyProducts) {
-    return shopifyProducts.map(product => {
-        const variant = product.variants[0] || {};
-        const image = product.images[0]?.src || '';
+// Função para formatar produtos para WhatsApp Business (uma linha por variante)
+function formatProductsForWhatsApp(ctx, shopifyProducts) {
+    const [primary, ...others] = ctx.markets;
+    
+    return shopifyProducts.flatMap(product => {
+        const rows = formatProductRows(ctx, product, primary);
+        if (others.length === 0) return rows;
+        
+        // Nos outros mercados só se guarda o que difere do principal (preço, textos, links)
+        const marketRows = others.map(market => [market.id, formatProductRows(ctx, product, market)]);
+        return rows.map((row, index) => ({
+            ...row,
+            markets: Object.fromEntries(marketRows.map(([id, list]) => [id, changedFields(row, list[index])]))
+        }));
+    });
+}
+
+// Linhas do catálogo com as alterações manuais do dashboard por cima (em todos os mercados)
+function formatCatalogRows(ctx, shopifyProducts) {
+    const rows = formatProductsForWhatsApp(ctx, shopifyProducts);
+    return overrides.applyOverrides(rows, ctx.store.getProductOverrides(), ctx.markets);
+}
+
+// Linhas de um produto (uma por variante) num mercado: moeda, formato e idioma desse mercado
+function formatProductRows(ctx, shopifyProduct, market) {
+    const product = translateProduct(shopifyProduct, market.language);
+    const variants = product.variants?.length ? product.variants : [{}];
+    const images = product.images || [];
+    const hasVariants = variants.length > 1;
+    const metafields = mapping.metafieldsToObject(product.metafields);
+    const labels = { ...ctx.mapping.labels, ...market.labels };
+    
+    // Dados da loja e do mercado disponíveis nos templates, ex: {{store.storefront_url}}
+    const context = {
+        product,
+        metafields,
+        store: {
+            id: ctx.id,
+            name: ctx.name,
+            shop: ctx.shopify.shop,
+            storefront_url: market.storefront_url || ctx.shopify.storefrontUrl
+        },
+        market: {
+            id: market.id,
+            locale: market.locale,
+            currency: market.currency,
+            country: market.country || '',
+            language: market.language || ''
+        }
+    };
+    
+    return variants.map(variant => {
+        // Imagem própria da variante (image_id), senão a imagem principal
+        const image = images.find(img => variant.image_id && img.id === variant.image_id)?.src
+            || images[0]?.src || '';
+        const variantTitle = hasVariants ? variant.title || '' : '';
+        const mapped = mapping.applyMapping(ctx.mapping, { ...context, variant });
+        // null = sem preço nesta moeda (a linha fica fora das exportações do mercado)
+        const amount = markets.resolvePrice(market, parseFloat(variant.price || 0), variant.market_prices);
+        const { stock, available } = resolveVariantStock(variant);
         
         return {
-            id: product.id,
-            name: product.title,
-            description: cleanDescription(product.body_html),
-            price: `€${parseFloat(variant.price || 0).toFixed(2)}`,
-            currency: 'EUR',
+            id: variant.id ? `${product.id}-${variant.id}` : `${product.id}`,
+            product_id: product.id,
+            variant_id: variant.id || null,
+            item_group_id: `${product.id}`,
+            name: variantTitle ? `${product.title} - ${variantTitle}` : product.title,
+            variant_title: variantTitle,
+            options: getVariantOptions(product, variant),
+            description: '',
+            price: amount === null ? '' : markets.formatPrice(amount, market),
+            price_amount: amount,
+            currency: market.currency,
             image_url: image,
-            availability: variant.inventory_quantity > 0 ? 'Em stock' : 'Sem stock',
-            stock: variant.inventory_quantity || 0,
+            additional_images: images.map(img => img.src).filter(src => src && src !== image),
+            availability: available ? labels.in_stock : labels.out_of_stock,
+            // null = o Shopify não controla o inventário desta variante
+            stock,
+            available,
             sku: variant.sku || '',
-            category: product.product_type || 'Geral',
-            vendor: product.vendor || 'Bastidor Colorido',
-            tags: product.tags || '',
-            url: `https://bastidorcolorido.pt/products/${product.handle}`
+            category: '',
+            vendor: '',
+            tags: '',
+            updated_at: product.updated_at || null,
+            url: '',
+            ...mapped,
+            // Link direto para a variante escolhida
+            ...(mapped.url && variant.id && hasVariants && {
+                url: `${mapped.url}${mapped.url.includes('?') ? '&' : '?'}variant=${variant.id}`
+            })
         };
     });
 }
 
-// Limpar descrição HTML
+// Produto com os textos traduzidos para o idioma (fica o original no que não tem tradução)
+function translateProduct(product, language) {
+    const translation = language && product.translations?.[language];
+    if (!translation) return product;
+    
+    return {
+        ...product,
+        ...['title', 'body_html', 'handle', 'product_type'].reduce((fields, key) => {
+            if (translation[key]) fields[key] = translation[key];
+            return fields;
+        }, {})
+    };
+}
+
+// Campos de uma linha de mercado que diferem da linha principal
+function changedFields(row, marketRow) {
+    return Object.fromEntries(Object.entries(marketRow).filter(([key, value]) =>
+        JSON.stringify(value) !== JSON.stringify(row[key])
+    ));
+}
+
+// Linhas de um mercado para exportação (sem as que não têm preço nessa moeda)
+function getMarketRows(formattedProducts, market) {
+    return formattedProducts
+        .map(({ markets: marketFields, ...row }) => ({ ...row, ...marketFields?.[market.id] }))
+        .filter(row => row.price_amount !== null);
+}
+
+// Opções da variante, ex: { Tamanho: '20cm', Cor: 'Azul' }
+function getVariantOptions(product, variant) {
+    const options = {};
+    (product.options || []).forEach((option, index) => {
+        const value = variant[`option${index + 1}`];
+        // O Shopify cria "Title: Default Title" para produtos sem variantes
+        if (value && value !== 'Default Title') {
+            options[option.name] = value;
+        }
+    });
+    return options;
+}
+
+// Descrição HTML em texto para o WhatsApp: entidades, listas com •, parágrafos e *negrito*
 function cleanDescription(html) {
-    if (!html) return '';
-    return html
-        .replace(/<[^>]*>/g, '') // Remove HTML tags
-        .replace(/&nbsp;/g, ' ') // Remove &nbsp;
-        .replace(/\s+/g, ' ') // Remove espaços duplos
-        .trim()
-        .substring(0, 300); // Limite WhatsApp
+    return htmlToText(html); // O limite de caracteres vem do mapeamento (truncate)
 }
 
 // Gerar CSV para importação
 function generateCSV(formattedProducts) {
     const headers = [
-        'ID', 'Nome', 'Descrição', 'Preço', 'Moeda', 'Imagem', 
+        'ID', 'Grupo', 'Nome', 'Variante', 'Descrição', 'Preço', 'Moeda', 'Imagem', 
         'Disponibilidade', 'Stock', 'SKU', 'Categoria', 'Marca', 'Tags', 'URL'
     ];
     
-    let csv = headers.join(',') + '\n';
+    const rows = formattedProducts.map(product => [
+        product.id,
+        product.item_group_id,
+        product.name,
+        product.variant_title,
+        product.description,
+        product.price,
+        product.currency,
+        product.image_url,
+        product.availability,
+        product.stock,
+        product.sku,
+        product.category,
+        product.vendor,
+        product.tags,
+        product.url
+    ]);
+    
+    return toCSV(headers, rows);
+}
+
+// Gerar CSV com as colunas oficiais do feed de catálogo Meta
+function generateMetaCSV(formattedProducts) {
+    const headers = [
+        'id', 'item_group_id', 'title', 'description', 'availability', 'condition',
+        'price', 'link', 'image_link', 'brand', 'additional_image_link', 'google_product_category'
+    ];
     
-    formattedProducts.forEach(product => {
-        const row = [
-            product.id,
-            `"${product.name}"`,
-            `"${product.description}"`,
-            product.price,
-            product.currency,
-            product.image_url,
-            product.availability,
-            product.stock,
-            product.sku,
-            product.category,
-            product.vendor,
-            `"${product.tags}"`,
-            product.url
-        ];
-        csv += row.join(',') + '\n';
+    const rows = formattedProducts.map(product => {
+        const item = metaCatalog.toMetaItem(product);
+        return headers.map(header => item[header]);
     });
     
-    return csv;
+    return toCSV(headers, rows);
 }
 
 // Gerar JSON para WhatsApp Business App
-function generateWhatsAppJSON(formattedProducts) {
+function generateWhatsAppJSON(ctx, formattedProducts, market = ctx.markets[0]) {
     return {
-        catalog_name: "Bastidor Colorido - Catálogo",
+        catalog_name: market === ctx.markets[0]
+            ? `${ctx.name} - Catálogo`
+            : `${ctx.name} - Catálogo (${market.id.toUpperCase()})`,
+        locale: market.locale,
+        currency: market.currency,
         products: formattedProducts.map(product => ({
             retailer_id: product.id.toString(),
+            item_group_id: product.item_group_id,
             name: product.name,
             description: product.description,
-            price: Math.round(parseFloat(product.price.replace('€', '')) * 100), // Cêntimos
-            currency: 'EUR',
+            price: Math.round(markets.getPriceAmount(product) * 100), // Cêntimos
+            currency: product.currency,
             image_url: product.image_url,
-            availability: product.stock > 0 ? 'in stock' : 'out of stock',
+            availability: isAvailable(product) ? 'in stock' : 'out of stock',
             condition: 'new',
             brand: product.vendor,
             category: product.category,
-            url: product.url
+            url: product.url,
+            ...(Object.keys(product.options).length > 0 && { options: product.options })
         }))
     };
 }
 
-// Sincronização principal
-async function syncProducts() {
-    console.log('🔄 Iniciando sincronização...');
+// Sincronização principal; progress(event) recebe as etapas para o dashboard (ver /api/jobs/:id/events)
+async function syncProducts(ctx, progress = () => {}) {
+    const { store } = ctx;
+    console.log(`🔄 [${ctx.id}] Iniciando sincronização...`);
+    const startedAt = new Date().toISOString();
+    const warn = (stage, message) => progress({ stage, level: 'warning', message });
     
-    const shopifyProducts = await getShopifyProducts();
+    const { products: shopifyProducts, pages, error } = await getShopifyProducts(ctx, progress);
     if (shopifyProducts.length === 0) {
-        return { success: false, error: 'Nenhum produto encontrado' };
+        const result = { success: false, error: error || 'Nenhum produto encontrado', pages };
+        store.addSyncRecord({ started_at: startedAt, finished_at: new Date().toISOString(), ...result });
+        return result;
     }
     
-    // Formatar produtos
-    const formattedProducts = formatProductsForWhatsApp(shopifyProducts);
+    // Aplicar os filtros antes de formatar
+    const { included, excluded } = filters.applyFilters(ctx.filterRules, shopifyProducts);
+    store.setExcludedProducts(excluded);
+    // Dados originais do Shopify, para o detalhe de cada produto no dashboard
+    store.setShopifyProducts(shopifyProducts);
+    if (excluded.length > 0) {
+        console.log(`🚫 ${excluded.length} produtos excluídos pelos filtros`);
+    }
+    progress({
+        stage: 'filter',
+        message: `${included.length} produtos incluídos, ${excluded.length} excluídos pelos filtros`,
+        percent: SYNC_STAGES.filter
+    });
     
-    // Guardar em memória
-    products = formattedProducts;
-    lastSync = new Date();
+    // Formatar produtos (com as alterações manuais)
+    const formattedProducts = formatCatalogRows(ctx, included);
+    progress({ stage: 'format', message: `${formattedProducts.length} linhas formatadas`, percent: SYNC_STAGES.format });
+    const conflicts = formattedProducts.filter(row => row.overrides?.conflicts.length > 0);
+    if (conflicts.length > 0) {
+        warn('format', `${conflicts.length} alterações manuais em conflito com alterações do Shopify (rever no dashboard)`);
+    }
+    
+    // Comparar com o snapshot anterior antes de o substituir
+    const diff = computeSyncDiff(store.getProducts(), formattedProducts);
     
-    // Gerar ficheiros para download
-    const csv = generateCSV(formattedProducts);
-    const json = generateWhatsAppJSON(formattedProducts);
+    // Guardar no store persistente
+    const finishedAt = new Date().toISOString();
+    store.setProducts(formattedProducts, { syncedAt: finishedAt });
     
-    // Guardar ficheiros
-    const publicDir = path.join(__dirname, 'public');
-    if (!fs.existsSync(publicDir)) {
-        fs.mkdirSync(publicDir);
+    // Produtos que ficaram abaixo do limite, esgotaram ou voltaram ao stock
+    const stockAlerts = await checkStockAlerts(ctx, formattedProducts);
+    progress({ stage: 'alerts', message: `${stockAlerts.length} alertas de stock`, percent: SYNC_STAGES.alerts });
+    
+    // Verificar os requisitos do catálogo antes de exportar
+    const validation = await runValidation(ctx, formattedProducts);
+    progress({
+        stage: 'validate',
+        message: `Validação: ${validation.errors} erros, ${validation.warnings} avisos`,
+        percent: SYNC_STAGES.validate
+    });
+    if (validation.invalid_ids.length > 0) {
+        warn('validate', `${validation.invalid_ids.length} produtos com erros de validação (ver relatório)`);
     }
     
-    fs.writeFileSync(path.join(publicDir, 'catalogo.csv'), csv);
-    fs.writeFileSync(path.join(publicDir, 'catalogo.json'), JSON.stringify(json, null, 2));
-    fs.writeFileSync(path.join(publicDir, 'produtos.json'), JSON.stringify(formattedProducts, null, 2));
+    // Gerar ficheiros para download (+ CSV só com as linhas alteradas)
+    const exportVersion = writeExportFiles(ctx, formattedProducts, { source: 'sync', changedIds: diff.changed_ids, warn });
+    progress({
+        stage: 'export',
+        message: `${exportVersion.files.length} ficheiros escritos (versão ${exportVersion.version})`,
+        percent: SYNC_STAGES.export
+    });
     
-    console.log('✅ Sincronização concluída!');
-    return { 
+    const result = { 
         success: true, 
+        store: ctx.id,
         count: formattedProducts.length,
-        files: ['catalogo.csv', 'catalogo.json', 'produtos.json']
+        pages,
+        fetched: shopifyProducts.length,
+        excluded: excluded.length,
+        changes: diff.summary,
+        alerts: stockAlerts.length,
+        validation: {
+            errors: validation.errors,
+            warnings: validation.warnings,
+            invalid: validation.invalid_ids.length,
+            left_out: VALIDATION_CONFIG.excludeInvalid ? validation.invalid_ids.length : 0
+        },
+        export_version: exportVersion.version,
+        files: exportVersion.files
     };
+    
+    // Publicação direta no catálogo Meta (opcional, META_PUBLISH=true ou "meta.publish" da loja)
+    if (ctx.meta.enabled) {
+        result.publish = await publishSyncToMeta(ctx, formattedProducts);
+        if (result.publish.error) {
+            warn('publish', `Erro ao publicar no catálogo Meta: ${result.publish.error}`);
+        } else {
+            progress({ stage: 'publish', message: 'Alterações publicadas no catálogo Meta', percent: SYNC_STAGES.publish });
+        }
+    }
+    
+    const record = store.addSyncRecord({ started_at: startedAt, finished_at: finishedAt, ...result, diff });
+    
+    console.log(`✅ [${ctx.id}] Sincronização concluída!`);
+    return { sync_id: record.id, ...result };
+}
+
+// Gerar os ficheiros de exportação numa nova versão (data/<loja>/exports) e torná-la a atual
+// changedIds: linhas para o CSV delta; warn(stage, message): avisos para o progresso da sincronização
+function writeExportFiles(ctx, allProducts, { source, changedIds, warn = () => {} } = {}) {
+    const formattedProducts = exportableProducts(ctx, allProducts);
+    const files = {};
+    
+    // Um conjunto de ficheiros por mercado (o principal com os nomes de sempre, ex: catalogo-br.csv)
+    ctx.markets.forEach((market, index) => {
+        const rows = getMarketRows(formattedProducts, market);
+        const fileName = name => markets.marketFileName(name, market, index === 0);
+        
+        files[fileName('catalogo.csv')] = generateCSV(rows);
+        files[fileName('catalogo-meta.csv')] = generateMetaCSV(rows);
+        files[fileName('catalogo.json')] = JSON.stringify(generateWhatsAppJSON(ctx, rows, market), null, 2);
+        files[fileName('produtos.json')] = JSON.stringify(rows, null, 2);
+        
+        if (index > 0 && rows.length < formattedProducts.length) {
+            const message = `${formattedProducts.length - rows.length} variantes sem preço em ${market.currency} ficaram fora do mercado "${market.id}"`;
+            console.warn(`⚠️ [${ctx.id}] ${message}`);
+            warn('export', message);
+        }
+    });
+    
+    // CSV delta: só produtos novos ou alterados, para uma importação mais rápida
+    if (changedIds) {
+        const ids = new Set(changedIds);
+        const rows = getMarketRows(formattedProducts, ctx.markets[0]);
+        files['catalogo-delta.csv'] = generateCSV(rows.filter(p => ids.has(p.id)));
+    }
+    
+    // Linhas que ficaram de fora, por motivo (as ocultas no dashboard contam só como ocultas)
+    const hiddenCount = allProducts.filter(product => product.hidden).length;
+    return ctx.exports.publishVersion(files, {
+        source,
+        count: formattedProducts.length,
+        left_out_hidden: hiddenCount,
+        left_out_invalid: allProducts.length - formattedProducts.length - hiddenCount,
+        markets: ctx.markets.map(market => market.id)
+    });
+}
+
+// Validar o catálogo (mercado principal) e guardar o relatório da loja
+async function runValidation(ctx, formattedProducts, options = {}) {
+    const primary = ctx.markets[0];
+    const report = await validateCatalog(getMarketRows(formattedProducts, primary), {
+        labels: { ...ctx.mapping.labels, ...primary.labels },
+        ...options
+    });
+    ctx.store.setValidation(report);
+    
+    if (report.invalid_ids.length > 0) {
+        console.warn(`⚠️ [${ctx.id}] ${report.invalid_ids.length} produtos com erros de validação (ver /api/validation)`);
+    }
+    return report;
+}
+
+// Alertas de stock desde a verificação anterior (produtos silenciados não geram alertas)
+async function checkStockAlerts(ctx, formattedProducts) {
+    const { store } = ctx;
+    const { events, levels, recovered } = alerts.detectStockAlerts(ctx.alertConfig, formattedProducts, store.getStockLevels());
+    const mutes = store.getAlertMutes();
+    const recorded = store.recordStockAlerts(
+        events.filter(event => !alerts.isMuted(mutes[event.product_id])),
+        levels,
+        [...recovered, ...events.map(event => event.id)]
+    );
+    
+    if (recorded.length > 0) {
+        console.log(`🔔 [${ctx.id}] ${recorded.length} alertas de stock`);
+        await alerts.sendAlerts(ctx.alertConfig.channels, recorded, {
+            store: { id: ctx.id, name: ctx.name },
+            logFile: ctx.alertLog
+        });
+    }
+    return recorded;
+}
+
+// Linhas que ficam fora das exportações: ocultadas no dashboard e, com VALIDATION_EXCLUDE_INVALID=true,
+// as que têm erros de validação
+function withheldProductIds(ctx, formattedProducts) {
+    const withheld = new Set(formattedProducts.filter(product => product.hidden).map(product => product.id));
+    const report = ctx.store.getValidation();
+    if (VALIDATION_CONFIG.excludeInvalid && report) {
+        report.invalid_ids.forEach(id => withheld.add(id));
+    }
+    return withheld;
+}
+
+// Produtos a exportar (sem os de withheldProductIds)
+function exportableProducts(ctx, formattedProducts) {
+    const withheld = withheldProductIds(ctx, formattedProducts);
+    return formattedProducts.filter(product => !withheld.has(product.id));
+}
+
+// Opções para a publicação Meta apagar o que está publicado mas já não é exportado
+function metaPublishOptions(ctx, formattedProducts) {
+    return { withheldIds: withheldProductIds(ctx, formattedProducts), published: ctx.store.getPublishStatus() };
 }
 
-// Rotas API
-app.post('/api/sync', async (req, res) => {
-    console.log('📢 Sincronização manual iniciada');
-    const result = await syncProducts();
-    res.json(result);
+// Enviar para o catálogo Meta o que mudou desde a última publicação
+// formattedProducts: todas as linhas do catálogo (as que não são exportadas são apagadas no Meta)
+async function publishSyncToMeta(ctx, formattedProducts, options) {
+    try {
+        const requests = metaCatalog.buildBatchRequests(formattedProducts, metaPublishOptions(ctx, formattedProducts));
+        if (requests.length === 0) {
+            return { requests: 0 };
+        }
+        return await metaCatalog.publishToMeta(ctx.meta, ctx.store, requests, options);
+    } catch (error) {
+        console.error('❌ Erro ao publicar no catálogo Meta:', error.response?.data || error.message);
+        return { error: error.response?.data?.error?.message || error.message };
+    }
+}
+
+// Login do dashboard
+app.get('/login', (req, res) => {
+    res.send(renderLoginPage(req.query.error === '1' ? 'Utilizador ou password incorretos.' : null));
+});
+
+// Depois de várias falhas seguidas do mesmo IP ou para o mesmo utilizador, esperas cada vez maiores
+app.post('/login', (req, res) => {
+    const { username } = req.body;
+    const retryAfter = auth.loginRetryAfter(req.ip, username);
+    if (retryAfter > 0) {
+        const seconds = Math.ceil(retryAfter / 1000);
+        console.warn(`⚠️ Login bloqueado por ${seconds}s:`, username, req.ip);
+        return res.status(429).set('Retry-After', String(seconds))
+            .send(renderLoginPage(`Demasiadas tentativas falhadas. Tenta outra vez daqui a ${seconds}s.`));
+    }
+    
+    const user = authConfig && auth.authenticateUser(authConfig, username, req.body.password);
+    if (!user) {
+        auth.recordLoginFailure(req.ip, username);
+        console.warn('⚠️ Login falhado:', username, req.ip);
+        return res.redirect('/login?error=1');
+    }
+    auth.clearLoginFailures(req.ip, username);
+    
+    const token = auth.createSession(authConfig, user);
+    res.cookie(auth.SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: authConfig.sessionHours * 3600 * 1000
+    });
+    res.redirect('/');
+});
+
+app.post('/logout', (req, res) => {
+    if (req.sessionToken) {
+        auth.destroySession(req.sessionToken);
+    }
+    res.clearCookie(auth.SESSION_COOKIE);
+    res.redirect('/login');
+});
+
+app.get('/api/me', auth.requireRole('viewer'), (req, res) => {
+    res.json(req.user);
 });
 
-app.get('/api/status', (req, res) => {
+// Lojas configuradas, para o seletor do dashboard
+app.get('/api/stores', auth.requireRole('viewer'), (req, res) => {
     res.json({
-        products_count: products.length,
-        last_sync: lastSync,
-        shopify_connected: !!SHOPIFY_CONFIG.accessToken
+        default: defaultStore.id,
+        stores: storeContexts.map(ctx => ({
+            id: ctx.id,
+            name: ctx.name,
+            shop: ctx.shopify.shop,
+            storefront_url: ctx.shopify.storefrontUrl,
+            shopify_connected: !!ctx.shopify.accessToken,
+            products_count: ctx.store.getProducts().length,
+            last_sync: ctx.store.getLastSync()
+        }))
     });
 });
 
-app.get('/api/products', (req, res) => {
+// Rotas API de cada loja: /api/stores/:store/... (e /api/... para a loja por omissão)
+const storeRouter = express.Router({ mergeParams: true });
+
+storeRouter.use((req, res, next) => {
+    req.storeCtx = req.params.store ? storesById.get(req.params.store) : defaultStore;
+    if (!req.storeCtx) {
+        return res.status(404).json({ error: `Loja "${req.params.store}" não existe` });
+    }
+    next();
+});
+
+// Responde logo com o ID do trabalho; o progresso segue em /jobs/:id/events
+// (?wait=1 espera pelo fim e devolve o resultado, para scripts)
+storeRouter.post('/sync', auth.requireRole('operator'), async (req, res) => {
+    console.log(`📢 [${req.storeCtx.id}] Sincronização manual iniciada`);
+    const { job, done } = req.storeCtx.queue.enqueue('manual', req.user.username);
+    
+    if (req.query.wait === '1') {
+        const finished = await done;
+        return res.json({ job_id: finished.id, ...(finished.result || { success: false, error: finished.error }) });
+    }
+    
+    res.status(202).json({
+        job_id: job.id,
+        status: job.status,
+        status_url: `${req.baseUrl}/jobs/${job.id}`,
+        events_url: `${req.baseUrl}/jobs/${job.id}/events`
+    });
+});
+
+storeRouter.get('/jobs', auth.requireRole('viewer'), (req, res) => {
+    const { id, queue, store } = req.storeCtx;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
     res.json({
-        products: products.slice(0, 50), // Primeiros 50 para preview
-        total: products.length,
-        last_sync: lastSync
+        running: queue.getRunning(),
+        queued: queue.getQueued(),
+        schedule: syncSchedule.syncs.filter(entry => !entry.stores || entry.stores.includes(id)),
+        timezone: syncSchedule.timezone || null,
+        history: store.getJobHistory().slice(0, limit)
     });
 });
 
+storeRouter.get('/jobs/:id', auth.requireRole('viewer'), (req, res) => {
+    const job = req.storeCtx.store.getJobRecord(parseInt(req.params.id, 10));
+    if (!job) {
+        return res.status(404).json({ error: 'Trabalho não encontrado' });
+    }
+    res.json(job);
+});
+
+// Progresso de uma sincronização em Server-Sent Events: eventos "status", "progress" e "done"
+// Quem liga a meio recebe primeiro os eventos anteriores (depois do Last-Event-ID, ao voltar a ligar);
+// a ligação fecha no fim do trabalho
+storeRouter.get('/jobs/:id/events', auth.requireRole('viewer'), (req, res) => {
+    const { queue, store } = req.storeCtx;
+    const jobId = parseInt(req.params.id, 10);
+    const job = store.getJobRecord(jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Trabalho não encontrado' });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Sem buffer no nginx
+    });
+    res.flushHeaders();
+    
+    const send = event => res.write(`${event.seq ? `id: ${event.seq}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    const finish = () => {
+        clearInterval(heartbeat);
+        subscription?.unsubscribe();
+        res.end();
+    };
+    
+    const subscription = queue.subscribe(jobId, event => {
+        send(event);
+        if (event.type === 'done') finish();
+    });
+    // Manter a ligação aberta em proxies que fecham ligações paradas
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    // O "close" da resposta chega sempre quando o cliente desliga (o do pedido pode já ter passado)
+    res.on('close', finish);
+    
+    // Sem progresso em memória (trabalho antigo ou de antes de um reinício): só o estado final
+    if (!subscription) {
+        send({ type: 'done', job_id: job.id, status: job.status, result: job.result, error: job.error });
+        return finish();
+    }
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    subscription.events.filter(event => event.seq > lastEventId).forEach(send);
+    if (subscription.events.some(event => event.type === 'done')) finish();
+});
+
+storeRouter.get('/status', auth.requireRole('viewer'), (req, res) => {
+    const { store } = req.storeCtx;
+    res.json({
+        store: { id: req.storeCtx.id, name: req.storeCtx.name },
+        products_count: store.getProducts().length,
+        last_sync: store.getLastSync(),
+        shopify_connected: !!req.storeCtx.shopify.accessToken,
+        shopify_api_version: req.storeCtx.shopify.apiVersion,
+        locations: req.storeCtx.shopify.locationIds,
+        markets: req.storeCtx.markets.map(({ id, locale, currency }) => ({ id, locale, currency })),
+        // O diff completo fica em /api/sync/:id/diff
+        sync_history: store.getSyncHistory().slice(0, 10)
+    });
+});
+
+// Localizações do Shopify, com as que contam para o stock do catálogo
+storeRouter.get('/locations', auth.requireRole('viewer'), async (req, res) => {
+    const ctx = req.storeCtx;
+    try {
+        const locations = await getShopifyLocations(ctx);
+        res.json({
+            locations: locations.map(location => ({
+                id: location.id,
+                name: location.name,
+                active: location.active,
+                selected: !ctx.shopify.locationIds || ctx.shopify.locationIds.includes(location.id)
+            }))
+        });
+    } catch (error) {
+        console.error(`❌ [${ctx.id}] Erro ao buscar localizações:`, error.response?.data || error.message);
+        res.status(502).json({ error: error.message });
+    }
+});
+
+storeRouter.get('/sync/:id/diff', auth.requireRole('viewer'), (req, res) => {
+    const { store } = req.storeCtx;
+    const record = store.getSyncRecord(parseInt(req.params.id, 10));
+    if (!record) {
+        return res.status(404).json({ error: 'Sincronização não encontrada' });
+    }
+    const diff = record.has_diff ? store.getSyncDiff(record.id) : null;
+    if (!diff) {
+        return res.status(404).json({ error: 'Esta sincronização não tem relatório de alterações' });
+    }
+    
+    res.json({
+        sync_id: record.id,
+        finished_at: record.finished_at,
+        ...diff
+    });
+});
+
+// Publicar no catálogo Meta: o que mudou desde a última publicação ou (full) o catálogo inteiro
+storeRouter.post('/publish', auth.requireRole('operator'), async (req, res) => {
+    const ctx = req.storeCtx;
+    const dryRun = req.query.dry_run === '1' || req.body?.dry_run === true || undefined;
+    const full = req.query.full === '1' || req.body?.full === true;
+    const products = ctx.store.getProducts();
+    
+    if (full) {
+        try {
+            const requests = metaCatalog.buildFullBatchRequests(products, metaPublishOptions(ctx, products));
+            return res.json(await metaCatalog.publishToMeta(ctx.meta, ctx.store, requests, { dryRun }));
+        } catch (error) {
+            console.error('❌ Erro ao publicar no catálogo Meta:', error.response?.data || error.message);
+            return res.status(502).json({ error: error.response?.data?.error?.message || error.message });
+        }
+    }
+    
+    const result = await publishSyncToMeta(ctx, products, { dryRun });
+    res.status(result.error ? 502 : 200).json(result);
+});
+
+storeRouter.get('/publish/status', auth.requireRole('viewer'), async (req, res) => {
+    const ctx = req.storeCtx;
+    try {
+        const items = req.query.refresh === '1'
+            ? await metaCatalog.refreshBatchStatus(ctx.meta, ctx.store)
+            : ctx.store.getPublishStatus();
+        const list = Object.values(items);
+        
+        res.json({
+            enabled: ctx.meta.enabled,
+            dry_run: ctx.meta.dryRun,
+            total: list.length,
+            pending: list.filter(item => item.status === 'pending').length,
+            errors: list.filter(item => item.status === 'error'),
+            items: list
+        });
+    } catch (error) {
+        console.error('❌ Erro ao consultar lotes Meta:', error.response?.data || error.message);
+        res.status(502).json({ error: error.response?.data?.error?.message || error.message });
+    }
+});
+
+// Versões das exportações (download e rollback)
+storeRouter.get('/exports', auth.requireRole('viewer'), (req, res) => {
+    const { exports } = req.storeCtx;
+    res.json({
+        current: exports.getCurrentVersion(),
+        versions: exports.listVersions()
+    });
+});
+
+storeRouter.get('/exports/:version/:file', auth.requireRole('viewer'), (req, res) => {
+    const { exports } = req.storeCtx;
+    const manifest = exports.readManifest(req.params.version);
+    if (!manifest || !manifest.files.includes(req.params.file)) {
+        return res.status(404).json({ error: 'Versão ou ficheiro não encontrado' });
+    }
+    
+    res.download(path.join(exports.getVersionDir(manifest.version), req.params.file),
+        `${manifest.version}-${req.params.file}`);
+});
+
+storeRouter.post('/exports/:version/restore', auth.requireRole('operator'), (req, res) => {
+    const manifest = req.storeCtx.exports.restoreVersion(req.params.version);
+    if (!manifest) {
+        return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+    
+    console.log(`⏪ [${req.storeCtx.id}] Exportações restauradas para a versão ${manifest.version} por ${req.user.username}`);
+    res.json({ success: true, current: manifest.version, files: manifest.files });
+});
+
+// Ficheiros da versão atual (ex: /api/stores/grossista/files/catalogo.csv)
+storeRouter.get('/files/:file', auth.requireRole('viewer'), (req, res) => {
+    const { exports } = req.storeCtx;
+    const manifest = exports.readManifest(exports.getCurrentVersion());
+    if (!manifest || !manifest.files.includes(req.params.file)) {
+        return res.status(404).json({ error: 'Ficheiro não encontrado, sincroniza primeiro' });
+    }
+    
+    res.download(path.join(exports.getCurrentDir(), req.params.file), `${req.storeCtx.id}-${req.params.file}`);
+});
+
+// Relatório de validação: erros e avisos por produto
+storeRouter.get('/validation', auth.requireRole('viewer'), (req, res) => {
+    const report = req.storeCtx.store.getValidation();
+    if (!report) {
+        return res.status(404).json({ error: 'Ainda não há validação, sincroniza primeiro' });
+    }
+    
+    const level = req.query.level;
+    res.json({
+        ...report,
+        exclude_invalid: VALIDATION_CONFIG.excludeInvalid,
+        items: report.items.filter(item => level !== 'errors' || item.errors.length > 0)
+    });
+});
+
+// Validar outra vez os produtos guardados (check_urls=0 para não testar os links)
+storeRouter.post('/validation', auth.requireRole('operator'), async (req, res) => {
+    const checkUrls = req.query.check_urls === '0' || req.body?.check_urls === false
+        ? false
+        : VALIDATION_CONFIG.checkUrls;
+    const report = await runValidation(req.storeCtx, req.storeCtx.store.getProducts(), { checkUrls });
+    res.json({ ...report, exclude_invalid: VALIDATION_CONFIG.excludeInvalid });
+});
+
+// Alertas de stock: por omissão só os pendentes (?status=all para o histórico)
+storeRouter.get('/alerts', auth.requireRole('viewer'), (req, res) => {
+    const { store, alertConfig } = req.storeCtx;
+    const all = req.query.status === 'all';
+    const mutes = store.getAlertMutes();
+    
+    res.json({
+        threshold: alertConfig.threshold,
+        channels: alertConfig.channels.map(channel => channel.type),
+        alerts: store.getAlerts().filter(alert => all || (!alert.acknowledged_at && !alert.resolved_at)),
+        mutes: Object.entries(mutes)
+            .filter(([, mute]) => alerts.isMuted(mute))
+            .map(([productId, mute]) => ({ product_id: productId, ...mute }))
+    });
+});
+
+storeRouter.post('/alerts/:id/acknowledge', auth.requireRole('operator'), (req, res) => {
+    const alert = req.storeCtx.store.acknowledgeAlert(parseInt(req.params.id, 10), req.user.username);
+    if (!alert) {
+        return res.status(404).json({ error: 'Alerta não encontrado' });
+    }
+    res.json({ success: true, alert });
+});
+
+// Silenciar os alertas de um produto (todas as variantes); { days } ou sem prazo
+storeRouter.put('/alerts/mutes/:productId', auth.requireRole('operator'), (req, res) => {
+    const days = req.body?.days;
+    if (days !== undefined && days !== null && !(Number.isInteger(days) && days > 0)) {
+        return res.status(400).json({ error: '"days" deve ser um número inteiro positivo' });
+    }
+    
+    const mute = {
+        until: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+        muted_by: req.user.username,
+        muted_at: new Date().toISOString()
+    };
+    req.storeCtx.store.setAlertMute(req.params.productId, mute);
+    console.log(`🔕 [${req.storeCtx.id}] Alertas do produto ${req.params.productId} silenciados por ${req.user.username}`);
+    res.json({ success: true, product_id: req.params.productId, ...mute });
+});
+
+storeRouter.delete('/alerts/mutes/:productId', auth.requireRole('operator'), (req, res) => {
+    req.storeCtx.store.setAlertMute(req.params.productId, null);
+    res.json({ success: true });
+});
+
+// Mensagens de WhatsApp para partilhar um produto (ID da variante ou do produto) ou uma coleção
+// ?market=br usa os preços e textos desse mercado; ?format=png devolve só o QR code
+function getShareRows(ctx, marketId) {
+    const market = marketId ? ctx.markets.find(m => m.id === marketId) : ctx.markets[0];
+    return market ? getMarketRows(ctx.store.getProducts().filter(row => !row.hidden), market) : null;
+}
+
+// Erros inesperados (ex: dados do produto em falta) dão 500 em JSON em vez de ficarem sem resposta
+function shareRoute(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            console.error(`❌ [${req.storeCtx.id}] Erro ao preparar a partilha:`, error.message);
+            if (!res.headersSent) res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+async function sendShare(req, res, message, orderLabel, details) {
+    const result = await share.buildShare(message, orderLabel, req.storeCtx.share);
+    
+    if (req.query.format === 'png') {
+        if (!result.qr_code) {
+            return res.status(413).json({ error: 'Mensagem demasiado longa para um QR code' });
+        }
+        return res.type('png').send(Buffer.from(result.qr_code.split(',')[1], 'base64'));
+    }
+    res.json({ ...details, ...result });
+}
+
+storeRouter.get('/share/products/:id', auth.requireRole('viewer'), shareRoute(async (req, res) => {
+    const rows = getShareRows(req.storeCtx, req.query.market);
+    if (!rows) {
+        return res.status(404).json({ error: `Mercado "${req.query.market}" não existe` });
+    }
+    
+    let matches = rows.filter(row => row.id === req.params.id);
+    if (matches.length === 0) {
+        matches = rows.filter(row => String(row.product_id) === req.params.id);
+    }
+    if (matches.length === 0) {
+        return res.status(404).json({ error: 'Produto não encontrado no catálogo' });
+    }
+    
+    const message = share.buildProductMessage(matches, { utm: req.storeCtx.share.utm });
+    const label = matches.length === 1 ? matches[0].name : share.productTitle(matches[0]);
+    await sendShare(req, res, message, `${label} (${req.params.id})`, {
+        product_id: matches[0].product_id,
+        variants: matches.map(row => row.id)
+    });
+}));
+
+storeRouter.get('/share/collections/:handle', auth.requireRole('viewer'), shareRoute(async (req, res) => {
+    const ctx = req.storeCtx;
+    const rows = getShareRows(ctx, req.query.market);
+    if (!rows) {
+        return res.status(404).json({ error: `Mercado "${req.query.market}" não existe` });
+    }
+    
+    let collection;
+    try {
+        collection = await getShopifyCollection(ctx, req.params.handle);
+    } catch (error) {
+        console.error(`❌ [${ctx.id}] Erro ao buscar coleção:`, error.response?.data || error.message);
+        return res.status(502).json({ error: error.message });
+    }
+    if (!collection) {
+        return res.status(404).json({ error: `Coleção "${req.params.handle}" não existe no Shopify` });
+    }
+    
+    // Pela ordem da coleção; produtos fora do catálogo (filtros) não entram
+    const order = new Map(collection.product_ids.map((id, index) => [id, index]));
+    const collectionRows = rows
+        .filter(row => order.has(row.product_id))
+        .sort((a, b) => order.get(a.product_id) - order.get(b.product_id));
+    if (collectionRows.length === 0) {
+        return res.status(404).json({ error: 'Nenhum produto desta coleção está no catálogo' });
+    }
+    
+    const message = share.buildCollectionMessage(collection.title, collectionRows, { utm: ctx.share.utm });
+    await sendShare(req, res, message, `coleção ${collection.title}`, {
+        collection: { id: collection.id, handle: collection.handle, title: collection.title },
+        products: new Set(collectionRows.map(row => row.product_id)).size
+    });
+}));
+
+// Linhas do catálogo: ?q= (nome, SKU ou tags), ?category=, ?vendor=, ?availability=in_stock|out_of_stock,
+// ?sort=name|price|stock|sku|updated_at (com "-" para descendente), ?limit= e ?offset= ou ?cursor=
+storeRouter.get('/products', auth.requireRole('viewer'), (req, res) => {
+    const { store } = req.storeCtx;
+    const { options, errors } = productQuery.parseProductQuery(req.query);
+    if (errors) {
+        return res.status(400).json({ error: 'Parâmetros inválidos', details: errors });
+    }
+    
+    const products = store.getProducts();
+    const excluded = store.getExcludedProducts();
+    res.json({
+        ...productQuery.queryProducts(products, options),
+        catalog_total: products.length,
+        last_sync: store.getLastSync(),
+        // Alterações manuais que o Shopify mudou depois de guardadas
+        override_conflicts: products
+            .filter(row => row.overrides?.conflicts.length > 0)
+            .map(row => ({ id: row.id, name: row.name, fields: row.overrides.conflicts })),
+        // Produtos deixados de fora pelos filtros, e porquê
+        excluded: excluded.slice(0, 50),
+        excluded_total: excluded.length
+    });
+});
+
+// Detalhe de um produto (ID da linha, ex: "1001-2001", ou product_id para todas as variantes):
+// linhas exportadas, produto original do Shopify, exclusão e validação
+function findProductRows(products, id) {
+    const rows = products.filter(row => row.id === id);
+    return rows.length > 0 ? rows : products.filter(row => String(row.product_id) === id);
+}
+
+storeRouter.get('/products/:id', auth.requireRole('viewer'), (req, res) => {
+    const { store } = req.storeCtx;
+    const rows = findProductRows(store.getProducts(), req.params.id);
+    
+    const productId = rows[0]?.product_id ?? Number(req.params.id.split('-')[0]);
+    const shopifyProduct = store.getShopifyProduct(productId);
+    const exclusion = store.getExcludedProducts().find(entry => entry.product_id === productId) || null;
+    // Produtos excluídos pelos filtros não têm linhas, mas têm detalhe
+    if (rows.length === 0 && !exclusion) {
+        return res.status(404).json({ error: 'Produto não encontrado no catálogo' });
+    }
+    
+    const ids = new Set(rows.map(row => row.id));
+    res.json({
+        product_id: productId,
+        rows: rows.map(row => ({ ...row, timestamps: store.getProductTimestamps(row.id) })),
+        shopify: shopifyProduct,
+        excluded: exclusion,
+        validation: (store.getValidation()?.items || []).filter(item => ids.has(item.id))
+    });
+});
+
+// Alterações manuais (ID da linha, ou do produto para todas as variantes), por cima dos dados do Shopify:
+// { name, description, price, hidden, markets: { <mercado>: { name, description, price } } };
+// o que não vier no pedido volta aos dados do Shopify
+function saveProductOverrides(req, res, fields) {
+    const ctx = req.storeCtx;
+    const { store } = ctx;
+    const rows = findProductRows(store.getProducts(), req.params.id);
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Produto não encontrado no catálogo' });
+    }
+    
+    // Guardar outra vez marca a alteração como revista (os valores atuais do Shopify passam a ser a base)
+    rows.forEach(row => {
+        const override = Object.keys(fields).length > 0 ? overrides.createOverride(row, fields, req.user.username) : null;
+        store.setProductOverride(row.id, override);
+    });
+    store.setProducts(overrides.applyOverrides(store.getProducts(), store.getProductOverrides(), ctx.markets));
+    scheduleExportFiles(ctx, 'overrides');
+    console.log(`✏️ [${ctx.id}] Alterações manuais de ${req.params.id} guardadas por ${req.user.username}`);
+    
+    const ids = new Set(rows.map(row => row.id));
+    res.json({ success: true, rows: store.getProducts().filter(row => ids.has(row.id)) });
+}
+
+storeRouter.put('/products/:id/overrides', auth.requireRole('operator'), (req, res) => {
+    const otherMarkets = req.storeCtx.markets.slice(1).map(market => market.id);
+    const { fields, errors } = overrides.parseOverrides(req.body, otherMarkets);
+    if (errors) {
+        return res.status(400).json({ error: 'Alterações inválidas', details: errors });
+    }
+    saveProductOverrides(req, res, fields);
+});
+
+storeRouter.delete('/products/:id/overrides', auth.requireRole('operator'), (req, res) => {
+    saveProductOverrides(req, res, {});
+});
+
+app.use('/api/stores/:store', storeRouter);
+app.use('/api', storeRouter);
+
+// Página de login (error: mensagem a mostrar por cima do formulário)
+function renderLoginPage(error) {
+    return `
+    <!DOCTYPE html>
+    <html lang="pt">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Bastidor Colorido - Entrar</title>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { 
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                min-height: 100vh;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            }
+            .login-box {
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+                padding: 40px 30px;
+                width: 100%;
+                max-width: 380px;
+                text-align: center;
+            }
+            .login-box h1 { color: #2d3436; margin-bottom: 25px; }
+            .login-box input {
+                width: 100%;
+                padding: 12px 15px;
+                margin-bottom: 15px;
+                border: 1px solid #ddd;
+                border-radius: 10px;
+                font-size: 1em;
+            }
+            .login-box button {
+                background: linear-gradient(135deg, #00b894, #00a085);
+                color: white;
+                width: 100%;
+                padding: 12px;
+                border: none;
+                border-radius: 50px;
+                font-size: 1.1em;
+                cursor: pointer;
+            }
+            .login-error { color: #e17055; margin-bottom: 15px; }
+        </style>
+    </head>
+    <body>
+        <form class="login-box" method="POST" action="/login">
+            <h1>🛍️ Bastidor Colorido</h1>
+            ${error ? `<p class="login-error">${error}</p>` : ''}
+            <input name="username" placeholder="Utilizador" autocomplete="username" required autofocus>
+            <input name="password" type="password" placeholder="Password" autocomplete="current-password" required>
+            <button type="submit">Entrar</button>
+        </form>
+    </body>
+    </html>
+    `;
+}
+
 // Dashboard HTML
-app.get('/', (req, res) => {
+app.get('/', auth.requireRole('viewer'), (req, res) => {
     const html = `
     <!DOCTYPE html>
     <html lang="pt">
@@ -223,6 +1665,25 @@ app.get('/', (req, res) => {
             }
             .header h1 { font-size: 2.5em; margin-bottom: 10px; }
             .header p { font-size: 1.2em; opacity: 0.9; }
+            .user-bar { margin-top: 15px; font-size: 0.95em; opacity: 0.9; }
+            .user-bar form { display: inline; }
+            .user-bar button {
+                background: none;
+                border: 1px solid white;
+                color: white;
+                border-radius: 20px;
+                padding: 3px 12px;
+                margin-left: 10px;
+                cursor: pointer;
+            }
+            .store-switcher { margin-top: 15px; }
+            .store-switcher select {
+                border: 1px solid white;
+                border-radius: 20px;
+                padding: 5px 12px;
+                font-size: 1em;
+                cursor: pointer;
+            }
             
             .content { padding: 40px 30px; }
             
@@ -315,12 +1776,147 @@ app.get('/', (req, res) => {
                 display: inline-block;
                 transition: all 0.3s ease;
             }
+            .market-downloads-row { margin-bottom: 10px; color: #636e72; }
+            .market-downloads-row a { color: #6c5ce7; margin-left: 8px; }
             .download-btn:hover {
                 transform: translateY(-2px);
                 text-decoration: none;
                 color: white;
             }
             
+            .diff-section {
+                background: #f1f8f4;
+                padding: 30px;
+                border-radius: 15px;
+                margin: 30px 0;
+            }
+            .diff-section h3 {
+                color: #2d3436;
+                margin-bottom: 20px;
+                font-size: 1.5em;
+            }
+            .diff-summary {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                margin-bottom: 20px;
+            }
+            .diff-badge {
+                background: white;
+                border-radius: 20px;
+                padding: 8px 16px;
+                color: #2d3436;
+                box-shadow: 0 2px 6px rgba(0,0,0,0.08);
+            }
+            .diff-group h4 {
+                color: #2d3436;
+                margin: 15px 0 8px;
+            }
+            .diff-group ul {
+                color: #636e72;
+                padding-left: 20px;
+                line-height: 1.6;
+            }
+            
+            .validation-section {
+                background: #fff8e6;
+                padding: 30px;
+                border-radius: 15px;
+                margin: 30px 0;
+            }
+            .validation-section h3 {
+                color: #2d3436;
+                margin-bottom: 20px;
+                font-size: 1.5em;
+            }
+            .validation-item { margin-bottom: 12px; color: #636e72; line-height: 1.6; }
+            .validation-item strong { color: #2d3436; }
+            .validation-error { color: #d63031; }
+            .validation-warning { color: #e17055; }
+            
+            .alerts-section {
+                background: #ffeef0;
+                padding: 30px;
+                border-radius: 15px;
+                margin: 30px 0;
+            }
+            .alerts-section h3 {
+                color: #2d3436;
+                margin-bottom: 20px;
+                font-size: 1.5em;
+            }
+            .alert-item {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 10px;
+                padding: 10px 0;
+                border-bottom: 1px solid #f5d5da;
+                color: #636e72;
+            }
+            .alert-item strong { color: #2d3436; }
+            .alert-actions { display: flex; gap: 8px; white-space: nowrap; }
+            
+            .versions-section {
+                background: #f3f0ff;
+                padding: 30px;
+                border-radius: 15px;
+                margin: 30px 0;
+            }
+            .versions-section h3 {
+                color: #2d3436;
+                margin-bottom: 20px;
+                font-size: 1.5em;
+            }
+            .versions-section a { color: #6c5ce7; margin-right: 8px; }
+            .version-current {
+                background: #00b894;
+                color: white;
+                border-radius: 10px;
+                padding: 2px 8px;
+                font-size: 0.85em;
+            }
+            .btn-small {
+                background: #6c5ce7;
+                color: white;
+                border: none;
+                border-radius: 15px;
+                padding: 5px 12px;
+                cursor: pointer;
+            }
+            
+            .jobs-section {
+                background: #f8f9fa;
+                padding: 30px;
+                border-radius: 15px;
+                margin: 30px 0;
+            }
+            .jobs-section h3 {
+                color: #2d3436;
+                margin-bottom: 10px;
+                font-size: 1.5em;
+            }
+            .jobs-schedule {
+                color: #636e72;
+                margin-bottom: 15px;
+            }
+            .jobs-table {
+                width: 100%;
+                border-collapse: collapse;
+                background: white;
+                border-radius: 10px;
+                overflow: hidden;
+            }
+            .jobs-table th, .jobs-table td {
+                padding: 10px 12px;
+                text-align: left;
+                border-bottom: 1px solid #eee;
+                color: #2d3436;
+            }
+            .jobs-table th { background: #dfe6e9; }
+            .job-success { color: #00b894; }
+            .job-failed, .job-interrupted { color: #e17055; }
+            
             .instructions {
                 background: #fff3cd;
                 border: 1px solid #ffeaa7;
@@ -385,13 +1981,151 @@ app.get('/', (req, res) => {
                 color: #636e72;
                 font-size: 0.9em;
             }
+            .product-actions {
+                display: flex;
+                gap: 8px;
+                margin-top: 10px;
+            }
+            .product-actions a { text-decoration: none; }
+            .product-badges { margin-top: 6px; font-size: 0.8em; }
+            .product-badge {
+                display: inline-block;
+                padding: 2px 8px;
+                border-radius: 10px;
+                background: #dfe6e9;
+                color: #2d3436;
+                margin-right: 4px;
+            }
+            .product-badge.conflict { background: #fdcb6e; }
+            .override-conflicts {
+                background: #ffeaa7;
+                border-radius: 8px;
+                padding: 10px 15px;
+                margin-top: 15px;
+            }
+            .override-form label {
+                display: block;
+                margin: 10px 0 4px;
+                font-weight: 600;
+            }
+            .override-form input[type="text"], .override-form input[type="number"], .override-form textarea {
+                width: 100%;
+                padding: 8px 10px;
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                font-family: inherit;
+            }
+            .override-form .conflict { border-color: #e17055; }
+            .override-form .hint { color: #e17055; font-size: 0.85em; margin-top: 4px; }
+            
+            .product-filters {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                align-items: center;
+            }
+            .product-filters input, .product-filters select {
+                padding: 8px 10px;
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                font-size: 0.95em;
+            }
+            .product-filters input { flex: 1; min-width: 200px; }
+            .product-pagination {
+                display: flex;
+                gap: 10px;
+                align-items: center;
+                justify-content: center;
+                margin-top: 20px;
+                color: #636e72;
+            }
+            
+            .product-detail {
+                display: none;
+                position: fixed;
+                top: 0;
+                right: 0;
+                width: min(720px, 100%);
+                height: 100%;
+                overflow-y: auto;
+                background: white;
+                box-shadow: -10px 0 30px rgba(0,0,0,0.2);
+                padding: 25px;
+                z-index: 10;
+            }
+            .product-detail h3 { margin-bottom: 15px; color: #2d3436; }
+            .detail-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.9em;
+                margin-bottom: 20px;
+            }
+            .detail-table th, .detail-table td {
+                padding: 8px;
+                border-bottom: 1px solid #eee;
+                text-align: left;
+                vertical-align: top;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+            .detail-table th { background: #dfe6e9; }
+            .detail-raw {
+                background: #f8f9fa;
+                padding: 10px;
+                border-radius: 8px;
+                font-size: 0.8em;
+                max-height: 400px;
+                overflow: auto;
+            }
+            
+            .excluded-list {
+                margin-top: 25px;
+                background: #fdf2f0;
+                padding: 20px;
+                border-radius: 10px;
+                color: #636e72;
+            }
+            .excluded-list summary {
+                cursor: pointer;
+                color: #e17055;
+                font-weight: bold;
+            }
+            .excluded-list ul {
+                margin-top: 10px;
+                padding-left: 20px;
+                line-height: 1.6;
+            }
             
             .loading {
                 display: none;
-                text-align: center;
                 padding: 20px;
                 color: #666;
             }
+            .progress-bar {
+                height: 14px;
+                background: #dfe6e9;
+                border-radius: 7px;
+                overflow: hidden;
+                margin: 10px 0;
+            }
+            .progress-fill {
+                height: 100%;
+                width: 0;
+                background: #00b894;
+                transition: width 0.3s;
+            }
+            .progress-fill.indeterminate { opacity: 0.5; }
+            .progress-log {
+                max-height: 200px;
+                overflow-y: auto;
+                font-family: monospace;
+                font-size: 0.85em;
+                background: #f8f9fa;
+                padding: 10px;
+                border-radius: 8px;
+                list-style: none;
+            }
+            .progress-log .warning { color: #e17055; }
             
             .status-indicator {
                 display: inline-block;
@@ -409,6 +2143,13 @@ app.get('/', (req, res) => {
             <div class="header">
                 <h1>🛍️ Bastidor Colorido</h1>
                 <p>Sistema de Sincronização Shopify → WhatsApp</p>
+                <div class="store-switcher" id="store-switcher" style="display: none;">
+                    🏪 <select id="store-select" onchange="switchStore(this.value)"></select>
+                </div>
+                <div class="user-bar">
+                    👤 <span id="current-user">-</span>
+                    <form method="POST" action="/logout"><button type="submit">Sair</button></form>
+                </div>
             </div>
             
             <div class="content">
@@ -432,7 +2173,7 @@ app.get('/', (req, res) => {
                 
                 <div class="actions">
                     <h3 style="margin-bottom: 20px; color: #2d3436;">Ações Disponíveis</h3>
-                    <button class="btn" onclick="syncNow()" id="sync-btn">
+                    <button class="btn operator-only" onclick="syncNow()" id="sync-btn">
                         🔄 Sincronizar Agora
                     </button>
                     <button class="btn" onclick="loadProducts()">
@@ -444,7 +2185,9 @@ app.get('/', (req, res) => {
                 </div>
                 
                 <div class="loading" id="loading">
-                    <p>🔄 A sincronizar produtos... Aguarde...</p>
+                    <p id="progress-title">🔄 A sincronizar produtos...</p>
+                    <div class="progress-bar"><div class="progress-fill" id="progress-fill"></div></div>
+                    <ul class="progress-log" id="progress-log"></ul>
                 </div>
                 
                 <div class="download-section" id="download-section" style="display: none;">
@@ -456,21 +2199,82 @@ app.get('/', (req, res) => {
                         <div class="download-card">
                             <h4>📊 Ficheiro CSV</h4>
                             <p>Formato tabela para importação direta no WhatsApp Business ou Excel. Ideal para edição manual.</p>
-                            <a href="/catalogo.csv" class="download-btn" download>⬇️ Download CSV</a>
+                            <a href="/catalogo.csv" data-file="catalogo.csv" class="download-btn" download>⬇️ Download CSV</a>
+                        </div>
+                        <div class="download-card">
+                            <h4>📘 CSV Catálogo Meta</h4>
+                            <p>Colunas oficiais do feed Meta (id, title, price...). Para o carregamento em massa no Commerce Manager.</p>
+                            <a href="/catalogo-meta.csv" data-file="catalogo-meta.csv" class="download-btn" download>⬇️ Download CSV Meta</a>
                         </div>
                         <div class="download-card">
                             <h4>📱 Ficheiro JSON</h4>
                             <p>Formato estruturado para WhatsApp Business API. Contém todos os dados formatados.</p>
-                            <a href="/catalogo.json" class="download-btn" download>⬇️ Download JSON</a>
+                            <a href="/catalogo.json" data-file="catalogo.json" class="download-btn" download>⬇️ Download JSON</a>
                         </div>
                         <div class="download-card">
                             <h4>🛍️ Lista Produtos</h4>
                             <p>Lista completa e legível de todos os produtos com detalhes. Ideal para revisão.</p>
-                            <a href="/produtos.json" class="download-btn" download>⬇️ Download Lista</a>
+                            <a href="/produtos.json" data-file="produtos.json" class="download-btn" download>⬇️ Download Lista</a>
+                        </div>
+                        <div class="download-card">
+                            <h4>🔁 CSV Alterações</h4>
+                            <p>Só os produtos novos ou alterados desde a última sincronização. Importação mais rápida.</p>
+                            <a href="/catalogo-delta.csv" data-file="catalogo-delta.csv" class="download-btn" download>⬇️ Download Delta</a>
+                        </div>
+                        <div class="download-card" id="markets-card" style="display: none;">
+                            <h4>🌍 Outros Mercados</h4>
+                            <p>Catálogos com a moeda, o formato dos preços e o idioma de cada mercado.</p>
+                            <div id="market-downloads"></div>
                         </div>
                     </div>
                 </div>
                 
+                <div class="diff-section" id="diff-section" style="display: none;">
+                    <h3>🔍 Alterações na Última Sincronização</h3>
+                    <div class="diff-summary" id="diff-summary"></div>
+                    <div id="diff-details"></div>
+                </div>
+                
+                <div class="validation-section" id="validation-section" style="display: none;">
+                    <h3>🩺 Validação do Catálogo</h3>
+                    <div class="diff-summary" id="validation-summary"></div>
+                    <details>
+                        <summary>Ver produtos com problemas</summary>
+                        <div id="validation-items" style="margin-top: 15px;"></div>
+                    </details>
+                </div>
+                
+                <div class="alerts-section" id="alerts-section" style="display: none;">
+                    <h3>🔔 Alertas de Stock</h3>
+                    <div id="alerts-items"></div>
+                    <div id="alerts-mutes" style="margin-top: 15px;"></div>
+                </div>
+                
+                <div class="versions-section">
+                    <h3>📦 Versões das Exportações</h3>
+                    <table class="jobs-table">
+                        <thead>
+                            <tr><th>Versão</th><th>Origem</th><th>Produtos</th><th>Ficheiros</th><th></th></tr>
+                        </thead>
+                        <tbody id="versions-body">
+                            <tr><td colspan="5">Ainda não há exportações</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+                
+                <div class="jobs-section">
+                    <h3>⏱️ Histórico de Sincronizações</h3>
+                    <p class="jobs-schedule" id="jobs-schedule"></p>
+                    <table class="jobs-table">
+                        <thead>
+                            <tr><th>#</th><th>Início</th><th>Origem</th><th>Duração</th><th>Resultado</th></tr>
+                        </thead>
+                        <tbody id="jobs-body">
+                            <tr><td colspan="5">Sem execuções registadas</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+                
                 <div class="instructions">
                     <h3>📖 Como Usar no WhatsApp Business</h3>
                     <ol>
@@ -486,20 +2290,53 @@ app.get('/', (req, res) => {
                 
                 <div class="products-preview">
                     <h3 style="color: #2d3436; margin-bottom: 20px;">🛍️ Pré-visualização dos Produtos</h3>
+                    <div class="product-filters">
+                        <input type="search" id="product-search" placeholder="🔍 Nome, SKU ou tags" oninput="searchProducts()">
+                        <select id="product-category" onchange="searchProducts(true)"><option value="">Todas as categorias</option></select>
+                        <select id="product-vendor" onchange="searchProducts(true)"><option value="">Todas as marcas</option></select>
+                        <select id="product-availability" onchange="searchProducts(true)">
+                            <option value="">Com e sem stock</option>
+                            <option value="in_stock">Em stock</option>
+                            <option value="out_of_stock">Sem stock</option>
+                        </select>
+                        <select id="product-sort" onchange="searchProducts(true)">
+                            <option value="">Ordem do Shopify</option>
+                            <option value="name">Nome</option>
+                            <option value="price">Preço ↑</option>
+                            <option value="-price">Preço ↓</option>
+                            <option value="stock">Stock ↑</option>
+                            <option value="-updated_at">Alterados recentemente</option>
+                        </select>
+                    </div>
+                    <div class="override-conflicts" id="override-conflicts" style="display: none;"></div>
                     <div class="product-grid" id="products-grid">
                         <p style="text-align: center; color: #636e72; grid-column: 1 / -1;">
                             Clica em "Sincronizar Agora" para ver os produtos
                         </p>
                     </div>
+                    <div class="product-pagination" id="product-pagination" style="display: none;">
+                        <button class="btn-small" id="products-prev" onclick="changeProductPage(-1)">⬅️ Anterior</button>
+                        <span id="products-page"></span>
+                        <button class="btn-small" id="products-next" onclick="changeProductPage(1)">Seguinte ➡️</button>
+                    </div>
+                    <details class="excluded-list" id="excluded-list" style="display: none;">
+                        <summary id="excluded-summary"></summary>
+                        <ul id="excluded-items"></ul>
+                    </details>
                 </div>
             </div>
         </div>
         
+        <div class="product-detail" id="product-detail">
+            <button class="btn-small" onclick="closeProductDetail()" style="float: right;">✖ Fechar</button>
+            <div id="product-detail-body"></div>
+        </div>
+        
         <script>
             // Atualizar estado
             async function refreshStatus() {
                 try {
-                    const response = await fetch('/api/status');
+                    const response = await fetch(storeApi('/status'));
                     const data = await response.json();
                     
                     document.getElementById('product-count').textContent = data.products_count || 0;
@@ -519,71 +2356,667 @@ app.get('/', (req, res) => {
                     if (data.products_count > 0) {
                         document.getElementById('download-section').style.display = 'block';
                     }
+                    
+                    // Ficheiros dos outros mercados, ex: catalogo-br.csv
+                    const otherMarkets = (data.markets || []).slice(1);
+                    document.getElementById('market-downloads').innerHTML = otherMarkets.map(market => \`
+                        <div class="market-downloads-row">
+                            <strong>\${market.id.toUpperCase()}</strong> (\${market.locale}, \${market.currency})
+                            \${['catalogo', 'catalogo-meta'].map(name => \`<a href="\${storeApi(\`/files/\${name}-\${market.id}.csv\`)}" download>\${name}.csv</a>\`).join('')}
+                            <a href="\${storeApi(\`/files/catalogo-\${market.id}.json\`)}" download>catalogo.json</a>
+                        </div>
+                    \`).join('');
+                    document.getElementById('markets-card').style.display = otherMarkets.length > 0 ? 'block' : 'none';
+                    
+                    const lastRun = (data.sync_history || []).find(record => record.success);
+                    if (lastRun) {
+                        loadDiff(lastRun.id);
+                    }
                 } catch (error) {
                     console.error('Erro ao atualizar estado:', error);
                 }
             }
             
-            // Sincronizar
+            // Alterações de uma sincronização
+            const DIFF_LABELS = {
+                added: '🆕 Novos',
+                removed: '🗑️ Removidos',
+                price_changed: '💶 Preço alterado',
+                stock_changed: '📦 Stock alterado',
+                out_of_stock: '⚠️ Esgotados',
+                description_changed: '📝 Descrição alterada'
+            };
+            
+            async function loadDiff(syncId) {
+                try {
+                    const response = await fetch(storeApi(\`/sync/\${syncId}/diff\`));
+                    if (!response.ok) return;
+                    const diff = await response.json();
+                    
+                    document.getElementById('diff-summary').innerHTML = Object.entries(DIFF_LABELS)
+                        .map(([key, label]) => \`<span class="diff-badge">\${label}: <strong>\${diff.summary[key]}</strong></span>\`)
+                        .join('');
+                    
+                    document.getElementById('diff-details').innerHTML = Object.entries(DIFF_LABELS)
+                        .filter(([key]) => diff[key].length > 0)
+                        .map(([key, label]) => \`
+                            <div class="diff-group">
+                                <h4>\${label}</h4>
+                                <ul>
+                                    \${diff[key].map(row => \`<li>\${escapeHtml(row.name)}\${'old' in row ? \` (\${escapeHtml(row.old)} → \${escapeHtml(row.new)})\` : ''}</li>\`).join('')}
+                                </ul>
+                            </div>
+                        \`).join('');
+                    
+                    document.getElementById('diff-section').style.display = 'block';
+                } catch (error) {
+                    console.error('Erro ao carregar alterações:', error);
+                }
+            }
+            
+            // Sincronizar: o pedido devolve logo o trabalho e o progresso chega por Server-Sent Events
             async function syncNow() {
                 const btn = document.getElementById('sync-btn');
-                const loading = document.getElementById('loading');
                 
                 btn.disabled = true;
                 btn.textContent = '⏳ A sincronizar...';
-                loading.style.display = 'block';
                 
                 try {
-                    const response = await fetch('/api/sync', { method: 'POST' });
-                    const result = await response.json();
+                    const response = await fetch(storeApi('/sync'), { method: 'POST' });
+                    const job = await response.json();
+                    if (!response.ok) throw new Error(job.error || response.statusText);
                     
-                    if (result.success) {
-                        alert(\`✅ Sincronização concluída!\\n\\n\${result.count} produtos sincronizados.\\n\\nFicheiros prontos para download.\`);
+                    showProgress(job.job_id);
+                    const done = await followJob(job.job_id);
+                    
+                    if (done.status === 'success') {
+                        const result = done.result;
+                        setProgress(100, \`✅ Sincronização concluída: \${result.count} produtos (\${result.pages} páginas Shopify)\`);
                         refreshStatus();
                         loadProducts();
+                        loadExports();
+                        loadValidation();
+                        loadAlerts();
                         document.getElementById('download-section').style.display = 'block';
                     } else {
-                        alert(\`❌ Erro na sincronização:\\n\${result.error}\`);
+                        setProgress(null, \`❌ Erro na sincronização: \${done.error || 'erro desconhecido'}\`);
                     }
                 } catch (error) {
-                    alert(\`❌ Erro de ligação:\\n\${error.message}\`);
+                    setProgress(null, \`❌ Erro de ligação: \${error.message}\`);
                 } finally {
                     btn.disabled = false;
                     btn.textContent = '🔄 Sincronizar Agora';
-                    loading.style.display = 'none';
+                    loadJobs();
+                }
+            }
+            
+            function showProgress(jobId) {
+                document.getElementById('loading').style.display = 'block';
+                document.getElementById('progress-log').innerHTML = '';
+                setProgress(0, \`🔄 Sincronização #\${jobId} na fila...\`);
+            }
+            
+            // percent null: etapa sem total conhecido (a barra fica onde está)
+            function setProgress(percent, title) {
+                const fill = document.getElementById('progress-fill');
+                if (percent !== null && percent !== undefined) fill.style.width = \`\${percent}%\`;
+                fill.classList.toggle('indeterminate', percent === null);
+                if (title) document.getElementById('progress-title').textContent = title;
+            }
+            
+            function addProgressLine(event) {
+                const log = document.getElementById('progress-log');
+                const item = document.createElement('li');
+                item.className = event.level || '';
+                item.textContent = \`\${new Date(event.at).toLocaleTimeString('pt-PT')} \${event.level === 'warning' ? '⚠️ ' : ''}\${event.message}\`;
+                log.appendChild(item);
+                log.scrollTop = log.scrollHeight;
+            }
+            
+            // Acompanhar o trabalho até ao evento "done" (resolve com o estado final)
+            function followJob(jobId) {
+                return new Promise((resolve, reject) => {
+                    const source = new EventSource(storeApi(\`/jobs/\${jobId}/events\`));
+                    
+                    source.addEventListener('status', () => {
+                        setProgress(0, \`🔄 Sincronização #\${jobId} a correr...\`);
+                    });
+                    source.addEventListener('progress', message => {
+                        const event = JSON.parse(message.data);
+                        addProgressLine(event);
+                        if (event.level !== 'warning') setProgress(event.percent);
+                    });
+                    source.addEventListener('done', message => {
+                        source.close();
+                        resolve(JSON.parse(message.data));
+                    });
+                    // O EventSource volta a ligar sozinho; se o servidor fechar antes do fim, desistir
+                    source.onerror = () => {
+                        if (source.readyState === EventSource.CLOSED) {
+                            reject(new Error('ligação de progresso perdida'));
+                        }
+                    };
+                });
+            }
+            
+            // Erros e avisos da validação do catálogo
+            async function loadValidation() {
+                try {
+                    const response = await fetch(storeApi('/validation'));
+                    if (!response.ok) return;
+                    const report = await response.json();
+                    
+                    document.getElementById('validation-summary').innerHTML = [
+                        \`✅ Válidos: <strong>\${report.valid}/\${report.total}</strong>\`,
+                        \`❌ Erros: <strong>\${report.errors}</strong>\`,
+                        \`⚠️ Avisos: <strong>\${report.warnings}</strong>\`,
+                        report.exclude_invalid ? '🚫 Produtos com erros ficam fora das exportações' : '',
+                        report.urls_checked ? '' : '🔌 Links não testados'
+                    ].filter(Boolean).map(text => \`<span class="diff-badge">\${text}</span>\`).join('');
+                    
+                    document.getElementById('validation-items').innerHTML = report.items.slice(0, 100).map(item => \`
+                        <div class="validation-item">
+                            <strong>\${escapeHtml(item.name)}</strong> (\${escapeHtml(item.id)})
+                            \${item.errors.map(issue => \`<div class="validation-error">❌ \${escapeHtml(issue.message)}</div>\`).join('')}
+                            \${item.warnings.map(issue => \`<div class="validation-warning">⚠️ \${escapeHtml(issue.message)}</div>\`).join('')}
+                        </div>
+                    \`).join('') || 'Nenhum problema encontrado 🎉';
+                    
+                    document.getElementById('validation-section').style.display = 'block';
+                } catch (error) {
+                    console.error('Erro ao carregar validação:', error);
+                }
+            }
+            
+            // Alertas de stock pendentes e produtos silenciados
+            const ALERT_TYPES = {
+                low_stock: '⚠️ Stock baixo',
+                out_of_stock: '❌ Esgotado',
+                back_in_stock: '✅ De volta ao stock'
+            };
+            
+            async function loadAlerts() {
+                try {
+                    const response = await fetch(storeApi('/alerts'));
+                    if (!response.ok) return;
+                    const data = await response.json();
+                    const canEdit = currentUser && currentUser.role === 'operator';
+                    
+                    document.getElementById('alerts-items').innerHTML = data.alerts.map(alert => \`
+                        <div class="alert-item">
+                            <div>
+                                <strong>\${ALERT_TYPES[alert.type]}</strong>: \${escapeHtml(alert.name)} (\${escapeHtml(alert.id)})
+                                - \${alert.stock} unidades\${alert.type === 'low_stock' ? \` (limite \${alert.threshold})\` : ''}
+                                <br><small>\${new Date(alert.created_at).toLocaleString('pt-PT')}</small>
+                            </div>
+                            \${canEdit ? \`<div class="alert-actions">
+                                <button class="btn-small" onclick="acknowledgeAlert(\${alert.alert_id})">✔️ Visto</button>
+                                <button class="btn-small" onclick="muteProduct('\${alert.product_id}')">🔕 Silenciar</button>
+                            </div>\` : ''}
+                        </div>
+                    \`).join('') || 'Sem alertas pendentes 🎉';
+                    
+                    document.getElementById('alerts-mutes').innerHTML = data.mutes.map(mute => \`
+                        <div class="alert-item">
+                            <div>🔕 Produto \${mute.product_id} silenciado
+                                \${mute.until ? \`até \${new Date(mute.until).toLocaleString('pt-PT')}\` : 'sem prazo'}</div>
+                            \${canEdit ? \`<button class="btn-small" onclick="unmuteProduct('\${mute.product_id}')">🔔 Reativar</button>\` : ''}
+                        </div>
+                    \`).join('');
+                    
+                    document.getElementById('alerts-section').style.display = 'block';
+                } catch (error) {
+                    console.error('Erro ao carregar alertas:', error);
+                }
+            }
+            
+            async function acknowledgeAlert(alertId) {
+                await fetch(storeApi(\`/alerts/\${alertId}/acknowledge\`), { method: 'POST' });
+                loadAlerts();
+            }
+            
+            async function muteProduct(productId) {
+                const answer = prompt('Silenciar os alertas deste produto durante quantos dias? (vazio = até reativar)', '7');
+                if (answer === null) return;
+                
+                const days = answer.trim() ? parseInt(answer, 10) : null;
+                const response = await fetch(storeApi(\`/alerts/mutes/\${productId}\`), {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ days })
+                });
+                if (!response.ok) {
+                    alert(\`❌ Erro ao silenciar:\n\${(await response.json()).error}\`);
+                }
+                loadAlerts();
+            }
+            
+            async function unmuteProduct(productId) {
+                await fetch(storeApi(\`/alerts/mutes/\${productId}\`), { method: 'DELETE' });
+                loadAlerts();
+            }
+            
+            // Versões das exportações
+            async function loadExports() {
+                try {
+                    const response = await fetch(storeApi('/exports'));
+                    const data = await response.json();
+                    if (data.versions.length === 0) return;
+                    
+                    document.getElementById('versions-body').innerHTML = data.versions.map(version => \`
+                        <tr>
+                            <td>\${new Date(version.created_at).toLocaleString('pt-PT')}
+                                \${version.current ? '<span class="version-current">atual</span>' : ''}</td>
+                            <td>\${version.source || '-'}</td>
+                            <td>\${version.count ?? '-'}</td>
+                            <td>\${version.files.map(file => \`<a href="\${storeApi(\`/exports/\${version.version}/\${file}\`)}">\${file}</a>\`).join('')}</td>
+                            <td>\${!version.current && currentUser && currentUser.role === 'operator'
+                                ? \`<button class="btn-small" onclick="restoreExport('\${version.version}')">⏪ Restaurar</button>\`
+                                : ''}</td>
+                        </tr>
+                    \`).join('');
+                } catch (error) {
+                    console.error('Erro ao carregar versões:', error);
                 }
             }
             
+            async function restoreExport(version) {
+                if (!confirm('Restaurar os ficheiros desta versão? Os downloads passam a servir esta versão.')) return;
+                
+                const response = await fetch(storeApi(\`/exports/\${version}/restore\`), { method: 'POST' });
+                const result = await response.json();
+                if (result.success) {
+                    loadExports();
+                } else {
+                    alert(\`❌ Erro ao restaurar:\n\${result.error}\`);
+                }
+            }
+            
+            // Histórico da fila de sincronizações
+            const JOB_STATUS = {
+                queued: '⏳ Na fila',
+                running: '🔄 A correr',
+                success: '✅ Sucesso',
+                failed: '❌ Falhou',
+                interrupted: '⚠️ Interrompido'
+            };
+            
+            async function loadJobs() {
+                try {
+                    const response = await fetch(storeApi('/jobs?limit=10'));
+                    const data = await response.json();
+                    
+                    document.getElementById('jobs-schedule').textContent = data.schedule.length > 0
+                        ? \`Agendadas: \${data.schedule.map(entry => \`\${entry.name} (\${entry.cron})\`).join(', ')}\`
+                        : 'Sem sincronizações agendadas';
+                    
+                    if (data.history.length === 0) return;
+                    document.getElementById('jobs-body').innerHTML = data.history.map(job => \`
+                        <tr>
+                            <td>\${job.id}</td>
+                            <td>\${new Date(job.queued_at).toLocaleString('pt-PT')}</td>
+                            <td>\${job.trigger}\${job.triggered_by ? \` (\${job.triggered_by})\` : ''}</td>
+                            <td>\${job.duration_ms !== null ? \`\${(job.duration_ms / 1000).toFixed(1)}s\` : '-'}</td>
+                            <td class="job-\${job.status}">\${JOB_STATUS[job.status] || job.status}\${job.error ? \`: \${escapeHtml(job.error)}\` : ''}</td>
+                        </tr>
+                    \`).join('');
+                } catch (error) {
+                    console.error('Erro ao carregar histórico:', error);
+                }
+            }
+            
+            // Texto do Shopify (ex: descrições em HTML) mostrado como texto
+            function escapeHtml(value) {
+                return String(value ?? '').replace(/[&<>"']/g, char => ({
+                    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+                })[char]);
+            }
+            
+            // Pesquisa, filtros e página atual da lista de produtos
+            const PRODUCTS_PAGE_SIZE = 48;
+            let productsOffset = 0;
+            let productsTotal = 0;
+            let searchTimer = null;
+            
+            // Ao escrever espera um pouco antes de pesquisar; os filtros pesquisam logo
+            function searchProducts(immediate) {
+                clearTimeout(searchTimer);
+                productsOffset = 0;
+                searchTimer = setTimeout(loadProducts, immediate ? 0 : 300);
+            }
+            
+            function changeProductPage(direction) {
+                productsOffset = Math.max(0, productsOffset + direction * PRODUCTS_PAGE_SIZE);
+                loadProducts();
+            }
+            
+            function productsQueryString() {
+                const params = new URLSearchParams({ limit: PRODUCTS_PAGE_SIZE, offset: productsOffset });
+                [['q', 'product-search'], ['category', 'product-category'], ['vendor', 'product-vendor'],
+                    ['availability', 'product-availability'], ['sort', 'product-sort']].forEach(([param, id]) => {
+                    const value = document.getElementById(id).value;
+                    if (value) params.set(param, value);
+                });
+                return params.toString();
+            }
+            
+            // Opções de um filtro, mantendo a escolha atual
+            function fillFilterOptions(id, values) {
+                const select = document.getElementById(id);
+                const selected = select.value;
+                const first = select.options[0].outerHTML;
+                select.innerHTML = first + values
+                    .map(value => \`<option value="\${escapeHtml(value)}">\${escapeHtml(value)}</option>\`).join('');
+                select.value = values.includes(selected) ? selected : '';
+            }
+            
             // Carregar produtos
             async function loadProducts() {
                 try {
-                    const response = await fetch('/api/products');
+                    const response = await fetch(storeApi(\`/products?\${productsQueryString()}\`));
                     const data = await response.json();
                     
                     const grid = document.getElementById('products-grid');
+                    fillFilterOptions('product-category', data.facets?.categories || []);
+                    fillFilterOptions('product-vendor', data.facets?.vendors || []);
                     
                     if (data.products && data.products.length > 0) {
                         grid.innerHTML = data.products.map(product => \`
                             <div class="product-card">
-                                \${product.image_url ? \`<img src="\${product.image_url}" alt="\${product.name}" class="product-image">\` : ''}
+                                \${product.image_url ? \`<img src="\${escapeHtml(product.image_url)}" alt="\${escapeHtml(product.name)}" class="product-image">\` : ''}
                                 <div class="product-info">
-                                    <div class="product-name">\${product.name}</div>
+                                    <div class="product-name">\${escapeHtml(product.name)}</div>
                                     <div class="product-price">\${product.price}</div>
-                                    <div class="product-stock">\${product.availability} (\${product.stock} unidades)</div>
+                                    <div class="product-stock">\${product.availability} (\${product.stock === null ? 'stock não controlado' : \`\${product.stock} unidades\`})</div>
+                                    \${overrideBadges(product)}
+                                    <div class="product-actions">
+                                        <button class="btn-small" onclick="showProductDetail('\${product.id}')">🔍 Detalhe</button>
+                                        <button class="btn-small" onclick="copyShareMessage(this, '\${product.id}')">📋 Copiar mensagem</button>
+                                        <a class="btn-small" href="\${storeApi(\`/share/products/\${product.id}?format=png\`)}" target="_blank">📱 QR</a>
+                                    </div>
                                 </div>
                             </div>
                         \`).join('');
+                    } else if (data.catalog_total > 0) {
+                        grid.innerHTML = '<p style="text-align: center; color: #636e72; grid-column: 1 / -1;">Nenhum produto corresponde à pesquisa.</p>';
                     } else {
                         grid.innerHTML = '<p style="text-align: center; color: #636e72; grid-column: 1 / -1;">Nenhum produto encontrado. Clica em "Sincronizar Agora".</p>';
                     }
+                    
+                    const conflicts = data.override_conflicts || [];
+                    const conflictsBox = document.getElementById('override-conflicts');
+                    conflictsBox.style.display = conflicts.length > 0 ? 'block' : 'none';
+                    conflictsBox.innerHTML = \`⚠️ \${conflicts.length} alterações manuais em conflito com o Shopify: \` + conflicts
+                        .map(item => \`<a href="#" onclick="showProductDetail('\${item.id}'); return false;">\${escapeHtml(item.name)}</a>\`)
+                        .join(', ');
+                    
+                    productsTotal = data.total || 0;
+                    const pagination = document.getElementById('product-pagination');
+                    pagination.style.display = productsTotal > PRODUCTS_PAGE_SIZE ? 'flex' : 'none';
+                    document.getElementById('products-page').textContent = productsTotal > 0
+                        ? \`\${data.offset + 1}-\${data.offset + data.products.length} de \${productsTotal}\`
+                        : '';
+                    document.getElementById('products-prev').disabled = data.offset === 0;
+                    document.getElementById('products-next').disabled = !data.next_cursor;
+                    
+                    const excludedList = document.getElementById('excluded-list');
+                    if (data.excluded_total > 0) {
+                        document.getElementById('excluded-summary').textContent = \`🚫 \${data.excluded_total} produtos excluídos pelos filtros\`;
+                        document.getElementById('excluded-items').innerHTML = data.excluded
+                            .map(item => \`<li><strong>\${escapeHtml(item.title)}</strong> - regra "\${item.rule}": \${escapeHtml(item.reason)} <a href="#" onclick="showProductDetail('\${item.product_id}'); return false;">🔍</a></li>\`)
+                            .join('');
+                        excludedList.style.display = 'block';
+                    } else {
+                        excludedList.style.display = 'none';
+                    }
                 } catch (error) {
                     console.error('Erro ao carregar produtos:', error);
                 }
             }
             
+            // Etiquetas das alterações manuais de uma linha
+            function overrideBadges(row) {
+                if (!row.overrides) return '';
+                return \`<div class="product-badges">
+                    <span class="product-badge">✏️ Editado</span>
+                    \${row.hidden ? '<span class="product-badge">🙈 Oculto</span>' : ''}
+                    \${row.overrides.conflicts.length > 0 ? '<span class="product-badge conflict">⚠️ Shopify mudou</span>' : ''}
+                </div>\`;
+            }
+            
+            // Valores exportados ao lado dos campos originais do Shopify
+            function detailRows(row, shopify) {
+                const variant = (shopify?.variants || []).find(entry => entry.id === row.variant_id) || {};
+                const image = (shopify?.images || []).find(entry => entry.id === variant.image_id) || shopify?.images?.[0];
+                const stock = variant.inventory_management
+                    ? \`\${variant.location_stock ?? variant.inventory_quantity} (política: \${variant.inventory_policy})\`
+                    : 'sem controlo de inventário';
+                return [
+                    ['Nome', row.name, [shopify?.title, row.variant_title ? variant.title : ''].filter(Boolean).join(' / ')],
+                    ['Descrição', row.description, shopify?.body_html],
+                    ['Preço', row.price, variant.price],
+                    ['Stock', row.stock === null ? '-' : row.stock, stock],
+                    ['Disponibilidade', row.availability, shopify?.status],
+                    ['SKU', row.sku, variant.sku],
+                    ['Categoria', row.category, shopify?.product_type],
+                    ['Marca', row.vendor, shopify?.vendor],
+                    ['Tags', row.tags, shopify?.tags],
+                    ['Imagem', row.image_url, image?.src],
+                    ['URL', row.url, shopify?.handle]
+                ];
+            }
+            
+            async function showProductDetail(id) {
+                try {
+                    const response = await fetch(storeApi(\`/products/\${encodeURIComponent(id)}\`));
+                    const data = await response.json();
+                    if (!response.ok) throw new Error(data.error);
+                    
+                    const row = data.rows.find(entry => entry.id === id) || data.rows[0];
+                    const title = row ? row.name : data.shopify?.title || id;
+                    const issues = data.validation.flatMap(item => [...item.errors, ...item.warnings].map(issue => \`\${item.id}: \${issue.message}\`));
+                    
+                    document.getElementById('product-detail-body').innerHTML = \`
+                        <h3>🔍 \${escapeHtml(title)}</h3>
+                        \${data.excluded ? \`<p style="color: #e17055;">🚫 Excluído pela regra "\${data.excluded.rule}": \${escapeHtml(data.excluded.reason)}</p>\` : ''}
+                        \${data.rows.length > 1 ? \`<p>Variantes: \${data.rows.map(entry => \`<a href="#" onclick="showProductDetail('\${entry.id}'); return false;">\${escapeHtml(entry.variant_title || entry.id)}</a>\`).join(' · ')}</p>\` : ''}
+                        \${row ? \`
+                            <table class="detail-table">
+                                <thead><tr><th>Campo</th><th>Exportado</th><th>Shopify</th></tr></thead>
+                                <tbody>\${detailRows(row, data.shopify).map(([label, exported, original]) => \`
+                                    <tr><td><strong>\${label}</strong></td><td>\${escapeHtml(exported)}</td><td>\${escapeHtml(original)}</td></tr>
+                                \`).join('')}</tbody>
+                            </table>
+                        \` : ''}
+                        \${row ? overrideForm(row) : ''}
+                        \${issues.length > 0 ? \`<p><strong>Validação:</strong></p><ul>\${issues.map(issue => \`<li>\${escapeHtml(issue)}</li>\`).join('')}</ul>\` : ''}
+                        <details>
+                            <summary>Dados completos do Shopify</summary>
+                            <pre class="detail-raw">\${escapeHtml(data.shopify ? JSON.stringify(data.shopify, null, 2) : 'Sem dados do Shopify (sincroniza outra vez)')}</pre>
+                        </details>
+                    \`;
+                    document.getElementById('product-detail').style.display = 'block';
+                } catch (error) {
+                    alert(\`❌ Erro ao carregar o produto:\n\${error.message}\`);
+                }
+            }
+            
+            // Formulário das alterações manuais; os campos vazios ficam com os dados do Shopify
+            function overrideForm(row) {
+                const fields = row.overrides?.fields || [];
+                const original = row.overrides?.original || row;
+                const conflicts = row.overrides?.conflicts || [];
+                const hint = (field, shopifyValue) => conflicts.includes(field)
+                    ? \`<div class="hint">⚠️ O Shopify mudou desde esta alteração, agora: \${escapeHtml(shopifyValue)}</div>\`
+                    : '';
+                const conflictClass = field => conflicts.includes(field) ? 'conflict' : '';
+                
+                return \`
+                    <div class="override-form">
+                        <h3>✏️ Alterações manuais</h3>
+                        \${row.overrides ? \`<p style="color: #636e72;">Por \${escapeHtml(row.overrides.updated_by)} em \${new Date(row.overrides.updated_at).toLocaleString('pt-PT')}</p>\` : ''}
+                        <label for="override-name">Título</label>
+                        <input type="text" id="override-name" class="\${conflictClass('name')}" placeholder="\${escapeHtml(original.name)}" value="\${fields.includes('name') ? escapeHtml(row.name) : ''}">
+                        \${hint('name', original.name)}
+                        <label for="override-description">Descrição</label>
+                        <textarea id="override-description" rows="4" class="\${conflictClass('description')}" placeholder="\${escapeHtml(original.description)}">\${fields.includes('description') ? escapeHtml(row.description) : ''}</textarea>
+                        \${hint('description', original.description)}
+                        <label for="override-price">Preço promocional</label>
+                        <input type="number" id="override-price" min="0" step="0.01" class="\${conflictClass('price')}" placeholder="\${escapeHtml(original.price)}" value="\${fields.includes('price') ? row.price_amount : ''}">
+                        \${hint('price', original.price)}
+                        \${overrideMarketInputs(row)}
+                        <label><input type="checkbox" id="override-hidden" \${row.hidden ? 'checked' : ''}> Ocultar do catálogo do WhatsApp (todos os mercados)</label>
+                        <div class="product-actions">
+                            <button class="btn-small" onclick="saveOverrides('\${row.id}')">💾 Guardar</button>
+                            \${row.overrides ? \`<button class="btn-small" onclick="clearOverrides('\${row.id}')">↩️ Voltar aos dados do Shopify</button>\` : ''}
+                        </div>
+                    </div>
+                \`;
+            }
+            
+            // Valores próprios dos outros mercados; vazios = título e descrição do principal e
+            // preço com o mesmo desconto do preço promocional
+            function overrideMarketInputs(row) {
+                const marketIds = Object.keys(row.overrides?.original.markets || row.markets || {});
+                if (marketIds.length === 0) return '';
+                const own = row.overrides?.markets || {};
+                const primary = row.overrides?.original || row;
+                // Nos mercados só está o que difere do principal
+                const original = (marketId, field) => (row.overrides?.original.markets || row.markets)[marketId][field] ?? primary[field];
+                return \`
+                    <details>
+                        <summary>Outros mercados</summary>
+                        \${marketIds.map(marketId => \`
+                            <label>Título (\${marketId})</label>
+                            <input type="text" data-market="\${marketId}" data-field="name" placeholder="\${escapeHtml(original(marketId, 'name'))}" value="\${escapeHtml(own[marketId]?.name || '')}">
+                            <label>Descrição (\${marketId})</label>
+                            <textarea rows="3" data-market="\${marketId}" data-field="description" placeholder="\${escapeHtml(original(marketId, 'description'))}">\${escapeHtml(own[marketId]?.description || '')}</textarea>
+                            <label>Preço promocional (\${marketId})</label>
+                            <input type="number" min="0" step="0.01" data-market="\${marketId}" data-field="price" placeholder="\${escapeHtml(original(marketId, 'price'))}" value="\${own[marketId]?.price || ''}">
+                        \`).join('')}
+                    </details>
+                \`;
+            }
+            
+            async function saveOverrides(id) {
+                const marketValues = {};
+                document.querySelectorAll('.override-form [data-market]').forEach(input => {
+                    marketValues[input.dataset.market] = marketValues[input.dataset.market] || {};
+                    marketValues[input.dataset.market][input.dataset.field] = input.value || null;
+                });
+                const response = await fetch(storeApi(\`/products/\${encodeURIComponent(id)}/overrides\`), {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        name: document.getElementById('override-name').value || null,
+                        description: document.getElementById('override-description').value || null,
+                        price: document.getElementById('override-price').value || null,
+                        hidden: document.getElementById('override-hidden').checked,
+                        markets: marketValues
+                    })
+                });
+                if (!response.ok) {
+                    const data = await response.json();
+                    alert(\`❌ Erro ao guardar:\n\${(data.details || [data.error]).join('\\n')}\`);
+                    return;
+                }
+                showProductDetail(id);
+                loadProducts();
+            }
+            
+            async function clearOverrides(id) {
+                if (!confirm('Apagar as alterações manuais e voltar aos dados do Shopify?')) return;
+                await fetch(storeApi(\`/products/\${encodeURIComponent(id)}/overrides\`), { method: 'DELETE' });
+                showProductDetail(id);
+                loadProducts();
+            }
+            
+            function closeProductDetail() {
+                document.getElementById('product-detail').style.display = 'none';
+            }
+            
+            // Copiar a mensagem de WhatsApp de um produto para colar numa conversa
+            async function copyShareMessage(button, productId) {
+                try {
+                    const response = await fetch(storeApi(\`/share/products/\${encodeURIComponent(productId)}\`));
+                    const data = await response.json();
+                    if (!response.ok) throw new Error(data.error);
+                    
+                    await navigator.clipboard.writeText(data.message);
+                    button.textContent = '✅ Copiada';
+                    setTimeout(() => { button.textContent = '📋 Copiar mensagem'; }, 2000);
+                } catch (error) {
+                    alert(\`❌ Erro ao copiar mensagem:\n\${error.message}\`);
+                }
+            }
+            
             // Carregar ao iniciar
-            window.onload = function() {
+            // Utilizador atual; o papel viewer não vê as ações de operador
+            let currentUser = null;
+            
+            async function loadUser() {
+                try {
+                    const response = await fetch('/api/me');
+                    const user = await response.json();
+                    currentUser = user;
+                    
+                    document.getElementById('current-user').textContent = \`\${user.username} (\${user.role})\`;
+                    if (user.role !== 'operator') {
+                        document.querySelectorAll('.operator-only').forEach(el => { el.style.display = 'none'; });
+                    }
+                } catch (error) {
+                    console.error('Erro ao carregar utilizador:', error);
+                }
+            }
+            
+            // Loja selecionada (guardada no browser entre visitas)
+            let currentStore = localStorage.getItem('store');
+            
+            function storeApi(endpoint) {
+                return \`/api/stores/\${currentStore}\${endpoint}\`;
+            }
+            
+            async function loadStores() {
+                try {
+                    const response = await fetch('/api/stores');
+                    const data = await response.json();
+                    if (!data.stores.some(store => store.id === currentStore)) {
+                        currentStore = data.default;
+                    }
+                    
+                    const select = document.getElementById('store-select');
+                    select.innerHTML = data.stores
+                        .map(store => \`<option value="\${store.id}">\${store.name} (\${store.products_count} produtos)</option>\`)
+                        .join('');
+                    select.value = currentStore;
+                    document.getElementById('store-switcher').style.display = data.stores.length > 1 ? 'block' : 'none';
+                    updateDownloadLinks();
+                } catch (error) {
+                    console.error('Erro ao carregar lojas:', error);
+                }
+            }
+            
+            // Os downloads apontam para os ficheiros da loja selecionada
+            function updateDownloadLinks() {
+                document.querySelectorAll('[data-file]').forEach(link => {
+                    link.href = storeApi(\`/files/\${link.dataset.file}\`);
+                });
+            }
+            
+            function switchStore(storeId) {
+                currentStore = storeId;
+                localStorage.setItem('store', storeId);
+                window.location.reload();
+            }
+            
+            window.onload = async function() {
+                await loadUser();
+                await loadStores();
                 refreshStatus();
+                loadJobs();
+                loadExports();
+                loadValidation();
+                loadAlerts();
                 loadProducts();
             };
         </script>
@@ -594,25 +3027,167 @@ app.get('/', (req, res) => {
 });
 
 // Webhook Shopify (para atualizações automáticas)
-app.post('/webhook/shopify/products', (req, res) => {
-    console.log('📢 Produto atualizado no Shopify:', req.body.title || 'Produto');
+
+// Validar o header X-Shopify-Hmac-Sha256 contra o segredo da loja
+function verifyShopifyWebhook(req, secret) {
+    const hmac = req.get('X-Shopify-Hmac-Sha256');
+    if (!secret || !hmac || !req.rawBody) return false;
+    
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(req.rawBody)
+        .digest();
+    const received = Buffer.from(hmac, 'base64');
+    
+    return received.length === digest.length && crypto.timingSafeEqual(received, digest);
+}
+
+// Substituir (ou remover) as linhas de um produto no catálogo em memória
+function patchProduct(ctx, productId, shopifyProduct) {
+    const { store } = ctx;
+    const products = store.getProducts();
+    const index = products.findIndex(p => p.product_id === productId);
+    const remaining = products.filter(p => p.product_id !== productId);
     
-    // Agendar sincronização em 5 minutos
-    setTimeout(() => {
-        syncProducts();
-    }, 5 * 60 * 1000);
+    // Um produto atualizado pode passar a ser excluído (ou voltar a entrar)
+    const exclusion = shopifyProduct ? filters.evaluateProduct(ctx.filterRules, shopifyProduct) : null;
+    store.updateExcludedProduct(productId, exclusion);
+    store.updateShopifyProduct(productId, shopifyProduct);
+    const rows = shopifyProduct && !exclusion ? formatCatalogRows(ctx, [shopifyProduct]) : [];
     
+    const insertAt = index === -1 ? remaining.length : index;
+    remaining.splice(insertAt, 0, ...rows);
+    store.setProducts(remaining);
+    rows.forEach(row => ctx.patchedIds.add(row.id));
+}
+
+// Linhas novas ou alteradas desde o início da última sincronização: a delta dessa sincronização mais o
+// que os webhooks e as alterações manuais mudaram depois (CSV delta das regenerações)
+function changedSinceLastSync(ctx, products) {
+    const { store } = ctx;
+    const lastSync = store.getSyncHistory().find(record => record.success);
+    if (!lastSync) return products.map(product => product.id);
+    return products
+        .filter(product => (store.getProductTimestamps(product.id)?.modified_at || '') >= lastSync.started_at)
+        .map(product => product.id);
+}
+
+// Agrupar eventos seguidos numa só regeneração dos ficheiros
+// source: origem da versão de exportação ('webhook' ou 'overrides')
+function scheduleExportFiles(ctx, source = 'webhook') {
+    clearTimeout(ctx.exportTimer);
+    ctx.exportTimer = setTimeout(() => {
+        ctx.exportTimer = null;
+        // Na fila da loja: nunca ao mesmo tempo que uma sincronização (que escreve a sua própria versão)
+        ctx.queue.runExclusive(() => regenerateExportFiles(ctx, source));
+    }, WEBHOOK_DEBOUNCE_MS);
+}
+
+// Alertas de stock, validação e nova versão dos ficheiros a partir do catálogo guardado
+async function regenerateExportFiles(ctx, source) {
+    const patchedIds = ctx.patchedIds;
+    ctx.patchedIds = new Set();
+    try {
+        await checkStockAlerts(ctx, ctx.store.getProducts());
+        // Só os links das linhas alteradas; as outras ficam com o resultado do relatório anterior
+        await runValidation(ctx, ctx.store.getProducts(), {
+            urlIds: patchedIds,
+            previous: ctx.store.getValidation()
+        });
+        // Reler o catálogo: as alterações manuais podem tê-lo mudado durante as verificações
+        const products = ctx.store.getProducts();
+        writeExportFiles(ctx, products, { source, changedIds: changedSinceLastSync(ctx, products) });
+        console.log(`✅ [${ctx.id}] Ficheiros regenerados (${source}, ${products.length} produtos)`);
+    } catch (error) {
+        console.error(`❌ [${ctx.id}] Erro ao regenerar ficheiros:`, error.message);
+    }
+}
+
+// Loja que enviou o webhook, pelo header X-Shopify-Shop-Domain (sem header: loja por omissão)
+function findWebhookStore(req) {
+    const domain = req.get('X-Shopify-Shop-Domain');
+    if (!domain) return defaultStore;
+    return storeContexts.find(ctx => `${ctx.shopify.shop}.myshopify.com` === domain.toLowerCase()) || null;
+}
+
+app.post('/webhook/shopify/products', (req, res) => {
+    const ctx = findWebhookStore(req);
+    if (!ctx || !verifyShopifyWebhook(req, ctx.shopify.webhookSecret)) {
+        console.warn('⚠️ Webhook rejeitado: loja desconhecida ou assinatura HMAC inválida');
+        return res.status(401).send('Unauthorized');
+    }
+    
+    // Responder já: o Shopify espera resposta em poucos segundos
     res.status(200).send('OK');
+    
+    // Na fila da loja: um webhook que chega durante uma sincronização só é aplicado depois dela,
+    // para não ser apagado pelos dados que a sincronização leu antes
+    const topic = req.get('X-Shopify-Topic');
+    ctx.queue.runExclusive(() => handleProductWebhook(ctx, topic, req.body || {})).catch(error => {
+        console.error(`❌ [${ctx.id}] Erro ao processar webhook:`, error.response?.data || error.message);
+    });
 });
 
-// Iniciar servidor
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`🚀 Sistema iniciado na porta ${PORT}`);
-    console.log(`📊 Dashboard: http://localhost:${PORT}`);
-    console.log(`💡 Substitui o token Shopify no código e depois testa!`);
+async function handleProductWebhook(ctx, topic, product) {
+    switch (topic) {
+        case 'products/create':
+        case 'products/update':
+            console.log(`📢 [${ctx.id}] Produto atualizado no Shopify (${topic}):`, product.title || product.id);
+            if (ctx.shopify.productsApi === 'graphql') {
+                // O payload do webhook não traz coleções nem metafields
+                product = await fetchProductGraphQL(ctx, product.id) || product;
+            } else if (mapping.usesMetafields(ctx.mapping)) {
+                await fetchProductMetafields(ctx, product);
+            }
+            await fetchInventoryLevels(ctx, [product]);
+            await fetchMarketData(ctx, [product]);
+            patchProduct(ctx, product.id, product);
+            break;
+        case 'products/delete':
+            console.log(`📢 [${ctx.id}] Produto removido no Shopify:`, product.id);
+            patchProduct(ctx, product.id, null);
+            break;
+        default:
+            console.warn('⚠️ Tópico de webhook ignorado:', topic);
+            return;
+    }
+    
+    scheduleExportFiles(ctx);
+}
+
+// Ficheiros da versão atual da loja por omissão (/catalogo.csv), só para utilizadores autenticados
+const staticByDir = new Map();
+app.use(auth.requireRole('viewer'), (req, res, next) => {
+    const dir = defaultStore.exports.getCurrentDir();
+    if (!dir) return next();
+    
+    if (!staticByDir.has(dir)) {
+        staticByDir.clear();
+        staticByDir.set(dir, express.static(dir, { index: false }));
+    }
+    staticByDir.get(dir)(req, res, next);
 });
 
+// Iniciar servidor (só com "node server.js": os testes usam o app sem abrir a porta)
+const PORT = process.env.PORT || 3000;
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Sistema iniciado na porta ${PORT}`);
+        console.log(`📊 Dashboard: http://localhost:${PORT}`);
+        console.log(`💡 Substitui o token Shopify no código e depois testa!`);
+        
+        console.log(`🏪 Lojas: ${storeContexts.map(ctx => ctx.id).join(', ')} (por omissão: ${defaultStore.id})`);
+        
+        // Sem "stores" na entrada, a sincronização agendada corre em todas as lojas
+        scheduler.startScheduler(syncSchedule, entry => {
+            console.log(`⏰ Sincronização agendada "${entry.name}"`);
+            storeContexts
+                .filter(ctx => !entry.stores || entry.stores.includes(ctx.id))
+                .forEach(ctx => ctx.queue.enqueue(`schedule:${entry.name}`));
+        });
+    });
+}
+
 
 module.exports = app;
 
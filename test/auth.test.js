@@ -0,0 +1,68 @@
+// test/auth.test.js - Login: sessões por cookie e espera depois de várias falhas seguidas
+const auth = require('../lib/auth');
+
+describe('logins falhados', () => {
+    let now;
+    let clock;
+
+    beforeEach(() => {
+        now = Date.parse('2026-01-31T08:00:00.000Z');
+        clock = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => clock.mockRestore());
+
+    const fail = (ip, username, times) => {
+        for (let i = 0; i < times; i++) auth.recordLoginFailure(ip, username);
+    };
+
+    test('depois de 5 falhas a espera duplica a cada falha', () => {
+        fail('10.0.0.1', 'ana', 5);
+        expect(auth.loginRetryAfter('10.0.0.1', 'ana')).toBe(0);
+
+        expect(auth.recordLoginFailure('10.0.0.1', 'ana')).toBe(1000);
+        expect(auth.recordLoginFailure('10.0.0.1', 'ana')).toBe(2000);
+        expect(auth.loginRetryAfter('10.0.0.1', 'ana')).toBe(2000);
+
+        now += 2000;
+        expect(auth.loginRetryAfter('10.0.0.1', 'ana')).toBe(0);
+    });
+
+    test('as falhas de outros IPs não bloqueiam o utilizador', () => {
+        fail('10.0.0.2', 'admin', 6);
+        expect(auth.loginRetryAfter('10.0.0.2', 'ADMIN')).toBe(1000);
+        expect(auth.loginRetryAfter('10.0.0.3', 'admin')).toBe(0);
+        // Do mesmo IP, os outros utilizadores só esperam depois de 20 falhas no total
+        expect(auth.loginRetryAfter('10.0.0.2', 'marta')).toBe(0);
+    });
+
+    test('muitas falhas do mesmo IP com utilizadores diferentes também esperam', () => {
+        for (let i = 0; i < 20; i++) auth.recordLoginFailure('10.0.0.6', `utilizador-${i}`);
+        expect(auth.loginRetryAfter('10.0.0.6', 'outro')).toBe(0);
+        expect(auth.recordLoginFailure('10.0.0.6', 'outro')).toBe(1000);
+        expect(auth.loginRetryAfter('10.0.0.6', 'mais-outro')).toBe(1000);
+    });
+
+    test('um login certo ou uma hora sem falhas voltam a pôr a contagem a zero', () => {
+        fail('10.0.0.4', 'joana', 6);
+        auth.clearLoginFailures('10.0.0.4', 'joana');
+        expect(auth.recordLoginFailure('10.0.0.4', 'joana')).toBe(0);
+
+        fail('10.0.0.5', 'luis', 6);
+        now += 61 * 60 * 1000;
+        expect(auth.recordLoginFailure('10.0.0.5', 'luis')).toBe(0);
+    });
+});
+
+describe('sessões', () => {
+    test('um cookie mal codificado de outra app não impede a sessão', () => {
+        const config = { users: [], tokens: [], sessionHours: 1 };
+        const token = auth.createSession(config, { username: 'ana', role: 'viewer' });
+        const req = { get: name => (name === 'Cookie' ? `outro=%E0%A4%A; ${auth.SESSION_COOKIE}=${token}` : undefined) };
+        const next = jest.fn();
+
+        auth.authenticate(config)(req, {}, next);
+        expect(next).toHaveBeenCalled();
+        expect(req.user).toEqual({ username: 'ana', role: 'viewer' });
+    });
+});
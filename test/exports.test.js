@@ -0,0 +1,64 @@
+// test/exports.test.js - Versões das exportações: limpeza das versões antigas por origem
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExportVersions } = require('../lib/exports');
+
+describe('versões das exportações', () => {
+    let exportsDir;
+
+    beforeEach(() => {
+        exportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bastidor-exports-'));
+    });
+
+    afterEach(() => fs.rmSync(exportsDir, { recursive: true, force: true }));
+
+    const publish = (exportsVersions, source) => exportsVersions.publishVersion({ 'catalogo.csv': source }, { source });
+    const sources = exportsVersions => exportsVersions.listVersions().map(version => version.source);
+
+    test('as versões dos webhooks não apagam as das sincronizações', () => {
+        const exportsVersions = createExportVersions(exportsDir, { keep: 2, keepUpdates: 3 });
+        const syncs = [publish(exportsVersions, 'sync'), publish(exportsVersions, 'sync')];
+        for (let i = 0; i < 5; i++) {
+            publish(exportsVersions, i % 2 ? 'overrides' : 'webhook');
+        }
+
+        expect(sources(exportsVersions)).toEqual(['webhook', 'overrides', 'webhook', 'sync', 'sync']);
+        // Ainda se pode voltar à primeira sincronização
+        expect(exportsVersions.restoreVersion(syncs[0].version)).toMatchObject({ source: 'sync' });
+    });
+
+    test('mantém as últimas sincronizações; versões sem origem contam como sincronizações', () => {
+        const exportsVersions = createExportVersions(exportsDir, { keep: 2, keepUpdates: 1 });
+        exportsVersions.publishVersion({ 'catalogo.csv': 'antiga' });
+        publish(exportsVersions, 'webhook');
+        publish(exportsVersions, 'sync');
+        expect(sources(exportsVersions)).toEqual(['sync', 'webhook', undefined]);
+
+        publish(exportsVersions, 'sync');
+        publish(exportsVersions, 'webhook');
+        expect(sources(exportsVersions)).toEqual(['webhook', 'sync', 'sync']);
+        expect(exportsVersions.listVersions()[0].current).toBe(true);
+    });
+
+    test('a versão nova é sempre a mais recente, mesmo publicada no mesmo milissegundo', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-01-31T08:00:00.000Z'));
+        try {
+            const exportsVersions = createExportVersions(exportsDir, { keep: 1, keepUpdates: 1 });
+            publish(exportsVersions, 'sync');
+            publish(exportsVersions, 'webhook');
+            // Apaga a versão do webhook anterior, que tinha o nome a seguir ao da sincronização
+            publish(exportsVersions, 'webhook');
+            const last = publish(exportsVersions, 'webhook');
+
+            expect(exportsVersions.listVersions().map(version => version.version)).toEqual([
+                last.version,
+                '2026-01-31T08-00-00-000Z'
+            ]);
+            expect(last.version).toBe('2026-01-31T08-00-00-003Z');
+            expect(exportsVersions.listVersions()[0].current).toBe(true);
+        } finally {
+            now.mockRestore();
+        }
+    });
+});
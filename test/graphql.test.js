@@ -0,0 +1,95 @@
+// test/graphql.test.js - Leitura dos produtos pela API GraphQL (paginada e bulk operation): mesmo catálogo que o REST
+const request = require('supertest');
+const { SHOP_DOMAIN, startTestServer, signWebhook, waitFor } = require('./helpers');
+
+const FILES = ['catalogo.csv', 'catalogo.json', 'catalogo-br.csv'];
+
+// Sincronizar uma loja de teste e devolver o resultado e os ficheiros gerados
+async function syncAndExport(options) {
+    const server = await startTestServer(options);
+    const { body: sync } = await request(server.app).post('/api/sync?wait=1').expect(200);
+    const files = {};
+    for (const file of FILES) {
+        files[file] = (await request(server.app).get(`/api/files/${file}`).expect(200)).text;
+    }
+    return { server, sync, files };
+}
+
+describe('produtos pela API GraphQL', () => {
+    let rest;
+    let graphql;
+
+    beforeAll(async () => {
+        rest = await syncAndExport({ productsApi: 'rest' });
+        await rest.server.close();
+        graphql = await syncAndExport({ productsApi: 'graphql' });
+    });
+
+    afterAll(() => graphql.server.close());
+
+    test('consultas paginadas, com as variantes que faltam pedidas à parte', () => {
+        expect(graphql.sync).toMatchObject({ success: true, pages: 3, fetched: 7, count: 6 });
+
+        const operations = graphql.server.mock.state.requests.map(req => req.operation).filter(Boolean);
+        expect(operations.filter(name => name === 'Products')).toHaveLength(3);
+        // O bastidor tem 3 variantes e a primeira página só traz 2
+        expect(operations.filter(name => name === 'ProductVariants')).toHaveLength(1);
+        expect(operations).not.toContain('RunProductsBulk');
+        expect(graphql.server.mock.requestsTo('/products.json')).toHaveLength(0);
+    });
+
+    test.each(FILES)('%s igual ao da API REST', file => {
+        expect(graphql.files[file]).toBe(rest.files[file]);
+    });
+
+    test('webhook products/update volta a buscar o produto pelo GraphQL', async () => {
+        const { app, mock } = graphql.server;
+        mock.updateProduct(1001, { title: 'Bastidor de Faia' });
+        const { body } = await request(app).get('/api/exports');
+
+        // O payload do webhook não traz tudo: o título vem do produto pedido ao GraphQL
+        const signed = signWebhook({ id: 1001, title: 'Bastidor (payload)' });
+        await request(app)
+            .post('/webhook/shopify/products')
+            .set('Content-Type', 'application/json')
+            .set('X-Shopify-Topic', 'products/update')
+            .set('X-Shopify-Shop-Domain', SHOP_DOMAIN)
+            .set('X-Shopify-Hmac-Sha256', signed.hmac)
+            .send(signed.raw)
+            .expect(200);
+        await waitFor(async () => (await request(app).get('/api/exports')).body.current !== body.current);
+
+        const { body: products } = await request(app).get('/api/products').expect(200);
+        expect(products.products.filter(row => row.product_id === 1001).map(row => row.name)).toEqual([
+            'Bastidor de Faia - 15cm', 'Bastidor de Faia - 20cm', 'Bastidor de Faia - 30cm'
+        ]);
+        expect(mock.state.requests.map(req => req.operation)).toContain('Product');
+    });
+});
+
+describe('produtos por bulk operation', () => {
+    let rest;
+    let bulk;
+
+    beforeAll(async () => {
+        rest = await syncAndExport({ productsApi: 'rest' });
+        await rest.server.close();
+        // Acima do limite (aqui 5 produtos) o catálogo vem num ficheiro JSONL
+        bulk = await syncAndExport({ productsApi: 'graphql', env: { SHOPIFY_BULK_THRESHOLD: '5' } });
+    }, 15000);
+
+    afterAll(() => bulk.server.close());
+
+    test('lança a bulk operation e lê o ficheiro JSONL', () => {
+        expect(bulk.sync).toMatchObject({ success: true, pages: 1, fetched: 7, count: 6 });
+
+        const operations = bulk.server.mock.state.requests.map(req => req.operation).filter(Boolean);
+        expect(operations).toEqual(expect.arrayContaining(['ProductsCount', 'RunProductsBulk', 'BulkOperationStatus']));
+        expect(operations).not.toContain('Products');
+        expect(bulk.server.mock.requestsTo('/bulk/products.jsonl')).toHaveLength(1);
+    });
+
+    test.each(FILES)('%s igual ao da API REST', file => {
+        expect(bulk.files[file]).toBe(rest.files[file]);
+    });
+});
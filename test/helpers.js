@@ -0,0 +1,92 @@
+// test/helpers.js - Arranque do servidor contra o mock do Shopify, com dados numa pasta temporária
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createMockShopify } = require('./mock-shopify');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const TOKEN = 'shpat_teste';
+const WEBHOOK_SECRET = 'segredo-webhooks';
+const SHOP_DOMAIN = 'loja-teste.myshopify.com';
+
+function readFixture(file) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+}
+
+// Preços do mercado BR nas price lists: preço base x 6; as agulhas não estão na price list em BRL
+function marketPrices(variant, country) {
+    if (country !== 'BR') return null;
+    if (variant.sku === 'AGU-10') return { amount: variant.price, currencyCode: 'EUR' };
+    return { amount: (parseFloat(variant.price) * 6).toFixed(2), currencyCode: 'BRL' };
+}
+
+// Mock do Shopify + app Express (sem abrir porta, para o supertest)
+// productsApi: 'rest' ou 'graphql'; env: variáveis extra; as restantes opções vão para o mock
+async function startTestServer({ productsApi = 'rest', env = {}, ...mockOptions } = {}) {
+    const mock = createMockShopify({
+        products: readFixture('products.json'),
+        translations: readFixture('translations.json'),
+        marketPrices,
+        token: TOKEN,
+        ...mockOptions
+    });
+    const mockUrl = await mock.listen();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bastidor-sync-'));
+
+    Object.assign(process.env, {
+        SHOPIFY_ADMIN_URL: mockUrl,
+        SHOPIFY_TOKEN: TOKEN,
+        SHOPIFY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        SHOPIFY_PRODUCTS_API: productsApi,
+        DATA_DIR: dataDir,
+        AUTH_DISABLED: 'true',
+        STORES_CONFIG: path.join(FIXTURES_DIR, 'stores.json'),
+        MARKETS_CONFIG: path.join(FIXTURES_DIR, 'markets.json'),
+        SCHEDULE_CONFIG: path.join(FIXTURES_DIR, 'schedule.json'),
+        ALERTS_CONFIG: path.join(FIXTURES_DIR, 'alerts.json'),
+        VALIDATION_CHECK_URLS: 'false',
+        META_PUBLISH: 'false',
+        WEBHOOK_DEBOUNCE_MS: '0',
+        SHOPIFY_BULK_THRESHOLD: '250',
+        ...env
+    });
+
+    // Cada servidor com os seus módulos (as configurações são lidas no require)
+    let app;
+    jest.isolateModules(() => {
+        app = require('../server');
+    });
+
+    return {
+        app,
+        mock,
+        dataDir,
+        async close() {
+            await mock.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Pedido de webhook assinado como o Shopify (HMAC SHA256 do corpo em base64)
+function signWebhook(body, secret = WEBHOOK_SECRET) {
+    const raw = JSON.stringify(body);
+    return {
+        raw,
+        hmac: crypto.createHmac('sha256', secret).update(raw).digest('base64')
+    };
+}
+
+// Esperar por uma condição assíncrona (ex: os ficheiros regenerados após um webhook)
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+    const startedAt = Date.now();
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() - startedAt > timeoutMs) throw new Error('waitFor: tempo esgotado');
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = { SHOP_DOMAIN, readFixture, startTestServer, signWebhook, waitFor };
@@ -0,0 +1,21 @@
+// test/html-text.test.js - Corte das descrições: grafemas e marcadores do WhatsApp
+const { htmlToText, truncateText } = require('../lib/html-text');
+
+describe('truncateText', () => {
+    test('o espaço onde cortar conta-se em grafemas, como o limite', () => {
+        // Em UTF-16 o espaço estaria na posição 8, depois dos 60% de 10
+        expect(truncateText('🧵🧵🧵🧵 abcdefghijkl', 10)).toBe('🧵🧵🧵🧵 abcd…');
+        expect(truncateText('Linha de bordar em algodão egípcio', 20)).toBe('Linha de bordar em…');
+    });
+
+    test('descrições enormes cortam-se sem percorrer o texto todo', () => {
+        expect(truncateText('Agulhas de aço. '.repeat(15000), 20)).toBe('Agulhas de aço…');
+    });
+
+    test('fecha só a formatação cortada a meio, não os marcadores do texto', () => {
+        const text = htmlToText('<p>Linha <b>algodão egípcio</b> de qualidade</p>');
+        expect(truncateText(text, 20)).toBe('Linha algodão…');
+        expect(truncateText('Ref ABC_1 linha de bordar em algodão', 20)).toBe('Ref ABC_1 linha de…');
+        expect(truncateText('_Algodão_ ref ABC_1 mais texto', 21)).toBe('_Algodão_ ref ABC_1…');
+    });
+});
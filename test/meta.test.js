@@ -0,0 +1,77 @@
+// test/meta.test.js - Publicação no catálogo Meta: só o que mudou desde a última publicação
+const request = require('supertest');
+const { SHOP_DOMAIN, startTestServer, signWebhook, waitFor } = require('./helpers');
+const { createMockMeta } = require('./mock-meta');
+
+describe('publicação no catálogo Meta', () => {
+    let server;
+    const meta = createMockMeta();
+
+    beforeAll(async () => {
+        const metaUrl = await meta.listen();
+        server = await startTestServer({
+            productsApi: 'rest',
+            env: {
+                META_PUBLISH: 'true',
+                META_GRAPH_URL: metaUrl,
+                META_CATALOG_ID: 'catalogo-teste',
+                META_ACCESS_TOKEN: 'token-meta'
+            }
+        });
+        await request(server.app).post('/api/sync?wait=1').expect(200);
+    });
+
+    afterAll(async () => {
+        await meta.close();
+        await server.close();
+    });
+
+    const sync = () => request(server.app).post('/api/sync?wait=1').expect(200).then(res => res.body);
+    const lastItems = () => meta.state.batches[meta.state.batches.length - 1].requests;
+
+    test('sem alterações não envia nada', async () => {
+        const batches = meta.state.batches.length;
+        expect((await sync()).publish).toEqual({ requests: 0 });
+        expect(meta.state.batches).toHaveLength(batches);
+    });
+
+    test('um novo título é publicado na sincronização seguinte', async () => {
+        server.mock.updateProduct(1003, { title: 'Kit Bordado Iniciante Deluxe' });
+        expect((await sync()).publish).toMatchObject({ requests: 1 });
+        expect(lastItems()).toEqual([{
+            method: 'UPDATE',
+            data: expect.objectContaining({ id: '1003-2005', title: 'Kit Bordado Iniciante Deluxe' })
+        }]);
+    });
+
+    test('o que chegou por webhook é publicado na sincronização seguinte', async () => {
+        const product = server.mock.state.products.find(entry => entry.id === 1002);
+        const updated = server.mock.updateProduct(1002, {
+            variants: product.variants.map(variant => ({ ...variant, price: '99.00' }))
+        });
+        const signed = signWebhook(updated);
+        await request(server.app)
+            .post('/webhook/shopify/products')
+            .set('Content-Type', 'application/json')
+            .set('X-Shopify-Topic', 'products/update')
+            .set('X-Shopify-Shop-Domain', SHOP_DOMAIN)
+            .set('X-Shopify-Hmac-Sha256', signed.hmac)
+            .send(signed.raw)
+            .expect(200);
+        await waitFor(async () => {
+            const { body } = await request(server.app).get('/api/products/1002-2004').expect(200);
+            return body.rows[0].price_amount === 99;
+        });
+
+        expect((await sync()).publish).toMatchObject({ requests: 1 });
+        expect(lastItems()).toEqual([{
+            method: 'UPDATE',
+            data: expect.objectContaining({ id: '1002-2004', price: '99.00 EUR' })
+        }]);
+    });
+
+    test('POST /publish sem alterações pendentes não envia nada', async () => {
+        const { body } = await request(server.app).post('/api/publish').expect(200);
+        expect(body).toEqual({ requests: 0 });
+    });
+});
@@ -0,0 +1,38 @@
+// test/mock-meta.js - Graph API do catálogo Meta local para os testes (items_batch)
+const express = require('express');
+
+// Guarda os lotes recebidos em state.batches (corpo do items_batch, com os requests)
+function createMockMeta() {
+    const app = express();
+    const state = { url: null, batches: [] };
+    let server = null;
+
+    app.use(express.json({ limit: '10mb' }));
+
+    app.post('/:version/:catalogId/items_batch', (req, res) => {
+        state.batches.push(req.body);
+        res.json({ handles: [`handle-${state.batches.length}`] });
+    });
+
+    return {
+        state,
+        // Pedidos (method + id) do último lote
+        lastRequests() {
+            const batch = state.batches[state.batches.length - 1];
+            return (batch?.requests || []).map(request => ({ method: request.method, id: request.data.id }));
+        },
+        listen() {
+            return new Promise(resolve => {
+                server = app.listen(0, '127.0.0.1', () => {
+                    state.url = `http://127.0.0.1:${server.address().port}`;
+                    resolve(state.url);
+                });
+            });
+        },
+        close() {
+            return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        }
+    };
+}
+
+module.exports = { createMockMeta };
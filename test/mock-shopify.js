@@ -0,0 +1,372 @@
+// test/mock-shopify.js - Admin API do Shopify local para os testes (REST e GraphQL), com os produtos dos fixtures
+const express = require('express');
+
+const API_PATH = '/admin/api/:version';
+const LOCATIONS = [
+    { id: 1, name: 'Armazém Lisboa', active: true },
+    { id: 2, name: 'Loja Porto', active: true }
+];
+// Stock extra na localização 2 (fora das localizações da loja de teste)
+const SECOND_LOCATION_STOCK = 5;
+
+// Mock com o mesmo formato de respostas do Shopify:
+// - products: produtos no formato do products.json (test/fixtures/products.json)
+// - pageSize: produtos por página (REST e GraphQL), para testar a paginação
+// - variantsPageSize: variantes na primeira página de cada produto GraphQL
+// - rateLimit: número de pedidos iniciais respondidos com 429
+// - rateLimitPath: só os pedidos a este caminho contam para o rateLimit (ex: '/products.json')
+// - translations: { productId: { idioma: { title, body_html, ... } } }
+// - marketPrices: (variant, country) => { amount, currencyCode } ou null
+function createMockShopify({
+    products = [],
+    token = 'shpat_teste',
+    pageSize = 3,
+    variantsPageSize = 2,
+    rateLimit = 0,
+    rateLimitPath = null,
+    translations = {},
+    marketPrices = () => null
+} = {}) {
+    const app = express();
+    const state = { url: null, products: clone(products), requests: [], rateLimited: 0, bulkOperation: null, held: [], failing: [] };
+    let server = null;
+
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+        state.requests.push({
+            method: req.method,
+            path: req.path,
+            query: req.query,
+            operation: req.body?.query ? operationName(req.body.query) : null
+        });
+        const held = state.held.find(entry => req.path.endsWith(entry.pathEnd));
+        if (held) return held.promise.then(() => next());
+        next();
+    });
+
+    // Resultado das bulk operations (no Shopify, um URL assinado sem o token da loja)
+    app.get('/bulk/products.jsonl', (req, res) => {
+        res.type('application/jsonl').send(toBulkLines(state.products));
+    });
+
+    app.use((req, res, next) => {
+        if (req.get('X-Shopify-Access-Token') !== token) {
+            return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+        }
+        if (state.rateLimited < rateLimit && (!rateLimitPath || req.path.endsWith(rateLimitPath))) {
+            state.rateLimited++;
+            return res.status(429).set('Retry-After', '0.01').json({ errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' });
+        }
+        if (state.failing.some(pathEnd => req.path.endsWith(pathEnd))) {
+            return res.status(500).json({ errors: 'Internal Server Error' });
+        }
+        res.set('X-Shopify-Shop-Api-Call-Limit', '1/40');
+        next();
+    });
+
+    app.get(`${API_PATH}/products.json`, (req, res) => {
+        const { items, next, previous } = paginate(state.products, req.query, pageSize);
+        setLinkHeader(req, res, { next, previous });
+        res.json({ products: items });
+    });
+
+    app.get(`${API_PATH}/products/count.json`, (req, res) => {
+        res.json({ count: state.products.length });
+    });
+
+    app.get(`${API_PATH}/products/:id/metafields.json`, (req, res) => {
+        const product = findProduct(state, req.params.id);
+        if (!product) return res.status(404).json({ errors: 'Not Found' });
+        res.json({ metafields: product.metafields || [] });
+    });
+
+    app.get(`${API_PATH}/locations.json`, (req, res) => {
+        res.json({ locations: LOCATIONS });
+    });
+
+    app.get(`${API_PATH}/inventory_levels.json`, (req, res) => {
+        const itemIds = String(req.query.inventory_item_ids || '').split(',').filter(Boolean).map(Number);
+        const locationIds = req.query.location_ids
+            ? String(req.query.location_ids).split(',').map(Number)
+            : LOCATIONS.map(location => location.id);
+
+        const levels = state.products
+            .flatMap(product => product.variants)
+            .filter(variant => itemIds.includes(variant.inventory_item_id))
+            .flatMap(variant => locationIds.map(locationId => ({
+                inventory_item_id: variant.inventory_item_id,
+                location_id: locationId,
+                available: locationId === 1 ? variant.inventory_quantity : SECOND_LOCATION_STOCK
+            })));
+        const { items, next, previous } = paginate(levels, req.query, pageSize * 2);
+        setLinkHeader(req, res, { next, previous });
+        res.json({ inventory_levels: items });
+    });
+
+    app.post(`${API_PATH}/graphql.json`, (req, res) => {
+        const { query, variables = {} } = req.body || {};
+        const resolver = GRAPHQL_OPERATIONS[operationName(query)];
+        if (!resolver) {
+            return res.json({ errors: [{ message: `Operação não suportada pelo mock: ${operationName(query)}` }] });
+        }
+        res.json({ data: resolver(state, variables, { pageSize, variantsPageSize, translations, marketPrices }) });
+    });
+
+    return {
+        app,
+        state,
+        // Alterar o catálogo entre sincronizações, ex: mock.updateProduct(1001, { title: 'Novo' })
+        updateProduct(id, changes) {
+            const product = findProduct(state, id);
+            Object.assign(product, changes);
+            return product;
+        },
+        removeProduct(id) {
+            state.products = state.products.filter(product => product.id !== Number(id));
+        },
+        // Segurar os pedidos a um caminho até chamar release(), ex: parar uma sincronização a meio
+        holdRequests(pathEnd) {
+            let release;
+            const entry = { pathEnd, promise: new Promise(resolve => { release = resolve; }) };
+            state.held.push(entry);
+            return () => {
+                state.held = state.held.filter(other => other !== entry);
+                release();
+            };
+        },
+        // Responder 500 aos pedidos a um caminho até chamar restore()
+        failRequests(pathEnd) {
+            state.failing.push(pathEnd);
+            return () => {
+                state.failing = state.failing.filter(other => other !== pathEnd);
+            };
+        },
+        requestsTo(pathEnd) {
+            return state.requests.filter(request => request.path.endsWith(pathEnd));
+        },
+        listen() {
+            return new Promise(resolve => {
+                server = app.listen(0, '127.0.0.1', () => {
+                    state.url = `http://127.0.0.1:${server.address().port}`;
+                    resolve(state.url);
+                });
+            });
+        },
+        close() {
+            return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        }
+    };
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function findProduct(state, id) {
+    return state.products.find(product => product.id === Number(id));
+}
+
+// "query Products($first: Int!) { ... }" -> "Products"
+function operationName(query) {
+    return (query || '').match(/^\s*(?:query|mutation)\s+(\w+)/)?.[1] || null;
+}
+
+// Paginação por cursor como no Shopify: page_info opaco (aqui, o índice em base64)
+function paginate(list, query, pageSize) {
+    const limit = Math.min(parseInt(query.limit, 10) || 50, pageSize);
+    const start = query.page_info ? Number(Buffer.from(query.page_info, 'base64').toString()) : 0;
+    const cursor = index => Buffer.from(String(index)).toString('base64');
+
+    return {
+        items: list.slice(start, start + limit),
+        next: start + limit < list.length ? cursor(start + limit) : null,
+        previous: start > 0 ? cursor(Math.max(0, start - limit)) : null
+    };
+}
+
+// Header Link com rel="previous" e rel="next"; nas páginas seguintes só vão limit e page_info
+function setLinkHeader(req, res, { next, previous }) {
+    const base = `${req.protocol}://${req.get('host')}${req.path}`;
+    const link = pageInfo => `<${base}?limit=${req.query.limit || 50}&page_info=${pageInfo}>`;
+    const parts = [];
+    if (previous) parts.push(`${link(previous)}; rel="previous"`);
+    if (next) parts.push(`${link(next)}; rel="next"`);
+    if (parts.length > 0) res.set('Link', parts.join(', '));
+}
+
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+const edges = nodes => ({ edges: nodes.map(node => ({ node })) });
+
+// Variante REST -> nó ProductVariant do GraphQL
+function toVariantNode(product, variant, position) {
+    const image = (product.images || []).find(item => item.id === variant.image_id);
+    return {
+        id: gid('ProductVariant', variant.id),
+        legacyResourceId: String(variant.id),
+        title: variant.title,
+        price: variant.price,
+        compareAtPrice: variant.compare_at_price || null,
+        sku: variant.sku,
+        barcode: variant.barcode || null,
+        position,
+        inventoryPolicy: variant.inventory_policy.toUpperCase(),
+        inventoryQuantity: variant.inventory_quantity,
+        selectedOptions: (product.options || []).map((option, index) => ({
+            name: option.name,
+            value: variant[`option${index + 1}`]
+        })),
+        image: image ? { url: image.src } : null,
+        inventoryItem: {
+            legacyResourceId: String(variant.inventory_item_id),
+            tracked: !!variant.inventory_management
+        }
+    };
+}
+
+// Campos do nó Product do GraphQL (sem as ligações)
+function toProductFields(product) {
+    return {
+        id: gid('Product', product.id),
+        legacyResourceId: String(product.id),
+        title: product.title,
+        handle: product.handle,
+        descriptionHtml: product.body_html,
+        productType: product.product_type,
+        vendor: product.vendor,
+        tags: product.tags ? product.tags.split(',').map(tag => tag.trim()) : [],
+        status: product.status.toUpperCase(),
+        publishedAt: product.published_at,
+        createdAt: product.created_at || product.updated_at,
+        updatedAt: product.updated_at,
+        options: product.options
+    };
+}
+
+// Listas ligadas ao produto: variantes, coleções, metafields e imagens
+function productChildren(product) {
+    return {
+        variants: product.variants.map((variant, index) => toVariantNode(product, variant, index + 1)),
+        collections: (product.collections || []).map(collection => ({
+            id: gid('Collection', collection.id),
+            legacyResourceId: String(collection.id),
+            handle: collection.handle,
+            title: collection.title
+        })),
+        metafields: (product.metafields || []).map((metafield, index) => ({
+            id: gid('Metafield', `${product.id}${index}`),
+            ...metafield
+        })),
+        media: (product.images || []).map(image => ({
+            id: gid('MediaImage', image.id),
+            image: { url: image.src }
+        }))
+    };
+}
+
+// Produto REST -> nó Product do GraphQL, com a primeira página de variantes
+function toProductNode(product, variantsPageSize) {
+    const { variants, collections, metafields, media } = productChildren(product);
+    return {
+        ...toProductFields(product),
+        variants: {
+            pageInfo: {
+                hasNextPage: variants.length > variantsPageSize,
+                endCursor: variants.length > variantsPageSize ? String(variantsPageSize) : null
+            },
+            ...edges(variants.slice(0, variantsPageSize))
+        },
+        collections: edges(collections),
+        metafields: edges(metafields),
+        media: edges(media)
+    };
+}
+
+// Ficheiro JSONL de uma bulk operation: cada produto seguido dos filhos, com __parentId
+function toBulkLines(products) {
+    return products.flatMap(product => {
+        const parentId = gid('Product', product.id);
+        const children = Object.values(productChildren(product)).flat();
+        return [toProductFields(product), ...children.map(child => ({ ...child, __parentId: parentId }))];
+    }).map(line => JSON.stringify(line)).join('\n');
+}
+
+const GRAPHQL_OPERATIONS = {
+    RunProductsBulk(state) {
+        state.bulkOperation = { id: gid('BulkOperation', 1), status: 'CREATED' };
+        return { bulkOperationRunQuery: { bulkOperation: state.bulkOperation, userErrors: [] } };
+    },
+
+    // A operação fica concluída logo na primeira consulta ao estado
+    BulkOperationStatus(state) {
+        return {
+            node: {
+                ...state.bulkOperation,
+                status: 'COMPLETED',
+                errorCode: null,
+                objectCount: String(state.products.length),
+                url: `${state.url}/bulk/products.jsonl`
+            }
+        };
+    },
+
+    ProductsCount(state) {
+        return { productsCount: { count: state.products.length } };
+    },
+
+    Products(state, { first, after }, { pageSize, variantsPageSize }) {
+        const start = after ? Number(after) : 0;
+        const page = state.products.slice(start, start + Math.min(first, pageSize));
+        const end = start + page.length;
+        return {
+            products: {
+                pageInfo: { hasNextPage: end < state.products.length, endCursor: String(end) },
+                ...edges(page.map(product => toProductNode(product, variantsPageSize)))
+            }
+        };
+    },
+
+    Product(state, { id }, { variantsPageSize }) {
+        const product = findProduct(state, id.split('/').pop());
+        return { product: product ? toProductNode(product, variantsPageSize) : null };
+    },
+
+    ProductVariants(state, { id, after }) {
+        const product = findProduct(state, id.split('/').pop());
+        const variants = product.variants.map((variant, index) => toVariantNode(product, variant, index + 1));
+        return {
+            product: {
+                variants: {
+                    pageInfo: { hasNextPage: false, endCursor: null },
+                    ...edges(variants.slice(Number(after)))
+                }
+            }
+        };
+    },
+
+    VariantPrices(state, { ids, country }, { marketPrices }) {
+        const variants = state.products.flatMap(product => product.variants);
+        return {
+            nodes: ids.map(id => {
+                const variant = variants.find(entry => gid('ProductVariant', entry.id) === id);
+                if (!variant) return null;
+                return {
+                    legacyResourceId: String(variant.id),
+                    contextualPricing: { price: marketPrices(variant, country) }
+                };
+            })
+        };
+    },
+
+    Translations(state, { ids, locale }, { translations }) {
+        return {
+            translatableResourcesByIds: edges(ids.map(id => ({
+                resourceId: id,
+                translations: Object.entries(translations[id.split('/').pop()]?.[locale] || {})
+                    .map(([key, value]) => ({ key, value }))
+            })))
+        };
+    }
+};
+
+module.exports = { createMockShopify, LOCATIONS };
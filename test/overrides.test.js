@@ -0,0 +1,283 @@
+// test/overrides.test.js - Alterações manuais por produto: aplicação nas exportações, sincronizações e conflitos
+const path = require('path');
+const request = require('supertest');
+const { SHOP_DOMAIN, startTestServer, signWebhook, waitFor } = require('./helpers');
+const { createMockMeta } = require('./mock-meta');
+
+describe('alterações manuais de produtos', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startTestServer({ productsApi: 'rest' });
+        await request(server.app).post('/api/sync?wait=1').expect(200);
+    });
+
+    afterAll(() => server.close());
+
+    const putOverrides = (id, body) => request(server.app).put(`/api/products/${id}/overrides`).send(body);
+    const getRow = id => request(server.app).get(`/api/products/${id}`).expect(200).then(res => res.body.rows[0]);
+    const sync = () => request(server.app).post('/api/sync?wait=1').expect(200).then(res => res.body);
+    // Os ficheiros são regenerados logo a seguir à resposta
+    const waitForCsv = check => waitFor(async () => {
+        const { text } = await request(server.app).get('/api/files/catalogo.csv').expect(200);
+        return check(text) ? text : null;
+    });
+
+    test('título, descrição e preço promocional por cima dos dados do Shopify', async () => {
+        const { body } = await putOverrides('1002-2004', {
+            name: 'Linha Mouliné (promoção)',
+            description: 'Linha 100% algodão, cores vivas.',
+            price: '0,99'
+        }).expect(200);
+
+        expect(body.rows[0]).toMatchObject({
+            id: '1002-2004',
+            name: 'Linha Mouliné (promoção)',
+            description: 'Linha 100% algodão, cores vivas.',
+            price: '0,99 €',
+            price_amount: 0.99,
+            overrides: {
+                fields: ['name', 'description', 'price'],
+                conflicts: [],
+                original: { name: 'Linha de Bordar Algodão', price: '1,25 €', price_amount: 1.25 },
+                updated_by: 'local'
+            }
+        });
+
+        const csv = await waitForCsv(text => text.includes('Linha Mouliné (promoção)'));
+        expect(csv).toContain('0,99 €');
+        expect(csv).not.toContain('Linha de Bordar Algodão');
+    });
+
+    test('as alterações ficam depois de uma nova sincronização', async () => {
+        await sync();
+        expect(await getRow('1002-2004')).toMatchObject({ name: 'Linha Mouliné (promoção)', price_amount: 0.99 });
+    });
+
+    test('ocultar tira a linha das exportações mas não do dashboard', async () => {
+        await putOverrides('1004-2006', { hidden: true }).expect(200);
+        await waitForCsv(text => !text.includes('AGU-10'));
+
+        const row = await getRow('1004-2006');
+        expect(row).toMatchObject({ hidden: true, overrides: { fields: ['hidden'] } });
+
+        // A versão das exportações conta as ocultas à parte das inválidas
+        const { body: exports } = await request(server.app).get('/api/exports').expect(200);
+        expect(exports.versions.find(version => version.current)).toMatchObject({
+            count: 5,
+            left_out_hidden: 1,
+            left_out_invalid: 0
+        });
+        await request(server.app).get('/api/share/products/1004-2006').expect(404);
+    });
+
+    test('pelo ID do produto a alteração vale para todas as variantes', async () => {
+        const { body } = await putOverrides('1001', { hidden: true }).expect(200);
+        expect(body.rows.map(row => row.id)).toEqual(['1001-2001', '1001-2002', '1001-2003']);
+        expect(body.rows.every(row => row.hidden)).toBe(true);
+
+        await putOverrides('1001', {}).expect(200);
+        expect((await getRow('1001-2001')).overrides).toBeUndefined();
+    });
+
+    test('conflito quando o Shopify muda um campo alterado', async () => {
+        const product = server.mock.state.products.find(entry => entry.id === 1002);
+        server.mock.updateProduct(1002, {
+            variants: product.variants.map(variant => ({ ...variant, price: '1.50' }))
+        });
+        await sync();
+
+        const row = await getRow('1002-2004');
+        expect(row.price_amount).toBe(0.99);
+        expect(row.overrides.conflicts).toEqual(['price']);
+        expect(row.overrides.original.price).toBe('1,50 €');
+
+        const { body } = await request(server.app).get('/api/products').expect(200);
+        expect(body.override_conflicts).toEqual([
+            { id: '1002-2004', name: 'Linha Mouliné (promoção)', fields: ['price'] }
+        ]);
+    });
+
+    test('guardar outra vez marca o conflito como revisto', async () => {
+        const { body } = await putOverrides('1002-2004', {
+            name: 'Linha Mouliné (promoção)',
+            description: 'Linha 100% algodão, cores vivas.',
+            price: 1.2
+        }).expect(200);
+        expect(body.rows[0].overrides.conflicts).toEqual([]);
+        expect(body.rows[0].price).toBe('1,20 €');
+    });
+
+    test('os webhooks mantêm as alterações', async () => {
+        const product = server.mock.updateProduct(1002, { title: 'Linha de Bordar Algodão Premium' });
+        const signed = signWebhook(product);
+        await request(server.app)
+            .post('/webhook/shopify/products')
+            .set('Content-Type', 'application/json')
+            .set('X-Shopify-Topic', 'products/update')
+            .set('X-Shopify-Shop-Domain', SHOP_DOMAIN)
+            .set('X-Shopify-Hmac-Sha256', signed.hmac)
+            .send(signed.raw)
+            .expect(200);
+
+        const row = await waitFor(async () => {
+            const current = await getRow('1002-2004');
+            return current.overrides.original.name === 'Linha de Bordar Algodão Premium' ? current : null;
+        });
+        expect(row.name).toBe('Linha Mouliné (promoção)');
+        expect(row.overrides.conflicts).toEqual(['name']);
+    });
+
+    test('DELETE volta aos dados do Shopify', async () => {
+        await request(server.app).delete('/api/products/1002-2004/overrides').expect(200);
+        const row = await getRow('1002-2004');
+        expect(row).toMatchObject({ name: 'Linha de Bordar Algodão Premium', price: '1,50 €' });
+        expect(row.overrides).toBeUndefined();
+    });
+
+    test('valores inválidos dão 400 e produtos desconhecidos 404', async () => {
+        const { body } = await putOverrides('1002-2004', { name: 'x'.repeat(151), price: -1, hidden: 'sim', cor: 'azul' })
+            .expect(400);
+        expect(body.details).toHaveLength(4);
+        await putOverrides('9999', { hidden: true }).expect(404);
+    });
+});
+
+describe('produtos ocultos com publicação no catálogo Meta', () => {
+    let server;
+    const meta = createMockMeta();
+
+    beforeAll(async () => {
+        const metaUrl = await meta.listen();
+        server = await startTestServer({
+            productsApi: 'rest',
+            env: {
+                META_PUBLISH: 'true',
+                META_GRAPH_URL: metaUrl,
+                META_CATALOG_ID: 'catalogo-teste',
+                META_ACCESS_TOKEN: 'token-meta'
+            }
+        });
+        await request(server.app).post('/api/sync?wait=1').expect(200);
+    });
+
+    afterAll(async () => {
+        await meta.close();
+        await server.close();
+    });
+
+    const sync = () => request(server.app).post('/api/sync?wait=1').expect(200).then(res => res.body);
+
+    test('a primeira sincronização publica todas as linhas', () => {
+        expect(meta.lastRequests()).toHaveLength(6);
+        expect(meta.lastRequests().every(req => req.method === 'CREATE')).toBe(true);
+    });
+
+    test('ocultar apaga a linha no Meta na sincronização seguinte', async () => {
+        await request(server.app).put('/api/products/1004-2006/overrides').send({ hidden: true }).expect(200);
+        const result = await sync();
+
+        expect(result.publish).toMatchObject({ requests: 1 });
+        expect(meta.lastRequests()).toEqual([{ method: 'DELETE', id: '1004-2006' }]);
+        expect((await request(server.app).get('/api/publish/status')).body.items)
+            .toEqual(expect.arrayContaining([expect.objectContaining({ id: '1004-2006', method: 'DELETE' })]));
+    });
+
+    test('a republicação completa não volta a criar a linha oculta', async () => {
+        await request(server.app).post('/api/publish?full=1').expect(200);
+        const ids = meta.lastRequests().map(req => req.id);
+        expect(ids).toHaveLength(5);
+        expect(ids).not.toContain('1004-2006');
+    });
+
+    test('deixar de ocultar volta a criar a linha no Meta', async () => {
+        await request(server.app).delete('/api/products/1004-2006/overrides').expect(200);
+        await sync();
+        expect(meta.lastRequests()).toEqual([{ method: 'CREATE', id: '1004-2006' }]);
+    });
+
+    test('o título e o preço alterados chegam ao Meta na sincronização seguinte', async () => {
+        await request(server.app).put('/api/products/1002-2004/overrides')
+            .send({ name: 'Linha Mouliné', price: 1.5 })
+            .expect(200);
+        const result = await sync();
+
+        expect(result.publish).toMatchObject({ requests: 1 });
+        const batch = meta.state.batches[meta.state.batches.length - 1];
+        expect(batch.requests).toEqual([{
+            method: 'UPDATE',
+            data: expect.objectContaining({ id: '1002-2004', title: 'Linha Mouliné', price: '1.50 EUR' })
+        }]);
+    });
+});
+
+describe('alterações manuais nos outros mercados', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startTestServer({
+            productsApi: 'rest',
+            env: { MARKETS_CONFIG: path.join(__dirname, 'fixtures', 'markets-es.json') }
+        });
+        await request(server.app).post('/api/sync?wait=1').expect(200);
+    });
+
+    afterAll(() => server.close());
+
+    const putOverrides = (id, body) => request(server.app).put(`/api/products/${id}/overrides`).send(body);
+    // Linha da linha 1002-2004 nos ficheiros de um mercado, depois de os ficheiros serem regenerados
+    const marketRow = (market, check) => waitFor(async () => {
+        const { body } = await request(server.app).get(`/api/files/produtos-${market}.json`).expect(200);
+        const row = body.find(entry => entry.id === '1002-2004');
+        return row && check(row) ? row : null;
+    });
+
+    test('título e preço promocional chegam a todos os mercados', async () => {
+        await putOverrides('1002-2004', { name: 'Linha Mouliné', price: 0.99 }).expect(200);
+
+        // es: mesma moeda e sem tradução, herda o preço e o título
+        const es = await marketRow('es', row => row.name === 'Linha Mouliné');
+        expect(es.price).toBe('0,99 €');
+        // br: o título substitui a tradução e o preço em BRL tem o mesmo desconto (7,50 x 0,99 / 1,25)
+        const br = await marketRow('br', row => row.name === 'Linha Mouliné');
+        expect(br).toMatchObject({ price: 'R$ 5,94', price_amount: 5.94 });
+
+        const csv = (await request(server.app).get('/api/files/catalogo-br.csv').expect(200)).text;
+        expect(csv).toContain('"R$ 5,94"');
+        expect(csv).not.toContain('Linha de Bordado Algodão');
+    });
+
+    test('valores próprios de um mercado', async () => {
+        const { body } = await putOverrides('1002-2004', {
+            name: 'Linha Mouliné',
+            price: 0.99,
+            markets: { br: { name: 'Linha Mouliné Brasil', price: '4,90' } }
+        }).expect(200);
+        expect(body.rows[0].overrides.markets).toEqual({ br: { name: 'Linha Mouliné Brasil', price: 4.9 } });
+
+        const br = await marketRow('br', row => row.name === 'Linha Mouliné Brasil');
+        expect(br.price).toBe('R$ 4,90');
+        const es = await marketRow('es', row => row.name === 'Linha Mouliné');
+        expect(es.price).toBe('0,99 €');
+    });
+
+    test('ocultar vale para todos os mercados', async () => {
+        await putOverrides('1002-2004', { hidden: true }).expect(200);
+        await waitFor(async () => {
+            const files = await Promise.all(['catalogo-br.csv', 'catalogo-es.csv'].map(file =>
+                request(server.app).get(`/api/files/${file}`).expect(200).then(res => res.text)));
+            return files.every(text => !text.includes('LIN-001'));
+        });
+    });
+
+    test('voltar aos dados do Shopify repõe a tradução e o preço do mercado', async () => {
+        await request(server.app).delete('/api/products/1002-2004/overrides').expect(200);
+        const br = await marketRow('br', row => row.name === 'Linha de Bordado Algodão');
+        expect(br.price).toBe('R$ 7,50');
+    });
+
+    test('mercados desconhecidos dão 400', async () => {
+        const { body } = await putOverrides('1002-2004', { markets: { fr: { name: 'Fil' } } }).expect(400);
+        expect(body.details).toEqual([expect.stringContaining('markets.fr')]);
+    });
+});
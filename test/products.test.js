@@ -0,0 +1,128 @@
+// test/products.test.js - Pesquisa, filtros, ordenação e paginação dos produtos e detalhe de um produto
+const request = require('supertest');
+const { SHOP_DOMAIN, startTestServer, signWebhook, waitFor } = require('./helpers');
+
+describe('produtos', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startTestServer({ productsApi: 'rest' });
+        await request(server.app).post('/api/sync?wait=1').expect(200);
+    });
+
+    afterAll(() => server.close());
+
+    const getProducts = (query = {}) => request(server.app).get('/api/products').query(query).expect(200)
+        .then(res => res.body);
+    const ids = body => body.products.map(row => row.id);
+
+    test('sem parâmetros: todas as linhas pela ordem do Shopify', async () => {
+        const body = await getProducts();
+        expect(ids(body)).toEqual(['1001-2001', '1001-2002', '1001-2003', '1002-2004', '1003-2005', '1004-2006']);
+        expect(body).toMatchObject({ total: 6, catalog_total: 6, offset: 0, limit: 50, next_cursor: null });
+        expect(body.facets.categories).toEqual(['Acessórios', 'Bastidores', 'Kits', 'Linhas']);
+    });
+
+    test('pesquisa por nome (sem acentos), SKU e tags', async () => {
+        expect(ids(await getProducts({ q: 'algodao' }))).toEqual(['1002-2004']);
+        expect(ids(await getProducts({ q: 'bas-2' }))).toEqual(['1001-2002']);
+        expect(ids(await getProducts({ q: 'novidades' }))).toEqual(['1003-2005']);
+    });
+
+    test('filtros por categoria, marca e disponibilidade', async () => {
+        expect(ids(await getProducts({ category: 'bastidores' }))).toEqual(['1001-2001', '1001-2002', '1001-2003']);
+        expect(ids(await getProducts({ category: 'Acessórios', vendor: 'Bastidor Colorido' }))).toEqual(['1004-2006']);
+        // As agulhas continuam à venda sem stock e o kit não tem controlo de inventário
+        expect(ids(await getProducts({ availability: 'out_of_stock' }))).toEqual(['1001-2003']);
+        const inStock = await getProducts({ availability: 'in_stock' });
+        expect(inStock.total).toBe(5);
+        // As facetas são de todo o catálogo, não só da pesquisa
+        expect(inStock.facets.categories).toHaveLength(4);
+    });
+
+    test('ordenação ascendente e descendente', async () => {
+        expect(ids(await getProducts({ sort: 'price' }))).toEqual([
+            '1002-2004', '1004-2006', '1001-2001', '1001-2002', '1001-2003', '1003-2005'
+        ]);
+        expect(ids(await getProducts({ sort: '-price', limit: 2 }))).toEqual(['1003-2005', '1001-2003']);
+        // Sem controlo de inventário conta como stock sem fim
+        expect(ids(await getProducts({ sort: '-stock', limit: 2 }))).toEqual(['1003-2005', '1002-2004']);
+    });
+
+    test('paginação por offset', async () => {
+        const page = await getProducts({ limit: 4, offset: 4 });
+        expect(ids(page)).toEqual(['1003-2005', '1004-2006']);
+        expect(page).toMatchObject({ total: 6, offset: 4, next_cursor: null });
+    });
+
+    test('paginação por cursor percorre todas as linhas sem repetir', async () => {
+        const seen = [];
+        let cursor;
+        do {
+            const page = await getProducts({ sort: '-price', limit: 4, ...(cursor && { cursor }) });
+            seen.push(...ids(page));
+            cursor = page.next_cursor;
+        } while (cursor);
+        expect(seen).toEqual(ids(await getProducts({ sort: '-price' })));
+    });
+
+    test('parâmetros inválidos dão 400 com os detalhes', async () => {
+        const { body } = await request(server.app)
+            .get('/api/products')
+            .query({ sort: 'cor', availability: 'talvez', limit: 0, cursor: 'lixo', offset: 1 })
+            .expect(400);
+        expect(body.error).toBe('Parâmetros inválidos');
+        expect(body.details).toHaveLength(5);
+    });
+
+    test('parâmetros repetidos dão 400', async () => {
+        const { body } = await request(server.app).get('/api/products?sort[]=name&limit=1&limit=2').expect(400);
+        expect(body.details).toEqual([expect.stringContaining('sort:'), expect.stringContaining('limit:')]);
+    });
+
+    test('detalhe de uma linha com o produto original do Shopify', async () => {
+        const { body } = await request(server.app).get('/api/products/1001-2002').expect(200);
+        expect(body.product_id).toBe(1001);
+        expect(body.rows.map(row => row.id)).toEqual(['1001-2002']);
+        expect(body.rows[0].timestamps).toBeTruthy();
+        expect(body.shopify).toMatchObject({ id: 1001, title: 'Bastidor de Madeira' });
+        expect(body.shopify.variants.map(variant => variant.id)).toEqual([2001, 2002, 2003]);
+        expect(body.excluded).toBeNull();
+        expect(Array.isArray(body.validation)).toBe(true);
+    });
+
+    test('detalhe pelo product_id inclui todas as variantes', async () => {
+        const { body } = await request(server.app).get('/api/products/1001').expect(200);
+        expect(body.rows.map(row => row.id)).toEqual(['1001-2001', '1001-2002', '1001-2003']);
+    });
+
+    test('detalhe de um produto excluído pelos filtros', async () => {
+        const { body } = await request(server.app).get('/api/products/1005').expect(200);
+        expect(body.rows).toEqual([]);
+        expect(body.excluded).toMatchObject({ product_id: 1005 });
+        expect(body.shopify).toMatchObject({ id: 1005, title: 'Cartão Oferta' });
+    });
+
+    test('produto desconhecido dá 404', async () => {
+        await request(server.app).get('/api/products/9999').expect(404);
+    });
+
+    test('o detalhe acompanha as atualizações por webhook', async () => {
+        const product = server.mock.updateProduct(1002, { body_html: '<p>Nova descrição</p>' });
+        const signed = signWebhook(product);
+        await request(server.app)
+            .post('/webhook/shopify/products')
+            .set('Content-Type', 'application/json')
+            .set('X-Shopify-Topic', 'products/update')
+            .set('X-Shopify-Shop-Domain', SHOP_DOMAIN)
+            .set('X-Shopify-Hmac-Sha256', signed.hmac)
+            .send(signed.raw)
+            .expect(200);
+
+        const body = await waitFor(async () => {
+            const res = await request(server.app).get('/api/products/1002-2004').expect(200);
+            return res.body.shopify.body_html === '<p>Nova descrição</p>' ? res.body : null;
+        });
+        expect(body.rows[0].description).toBe('Nova descrição');
+    });
+});
@@ -0,0 +1,89 @@
+// test/progress.test.js - Sincronização em segundo plano e progresso por Server-Sent Events
+const request = require('supertest');
+const { startTestServer } = require('./helpers');
+
+// "id: 1\nevent: progress\ndata: {...}\n\n" -> [{ type, ... }] (sem os comentários de heartbeat)
+function parseEvents(text) {
+    return text.split('\n\n')
+        .map(block => block.split('\n').find(line => line.startsWith('data: ')))
+        .filter(Boolean)
+        .map(line => JSON.parse(line.slice('data: '.length)));
+}
+
+describe('progresso da sincronização', () => {
+    let server;
+    let job;
+
+    beforeAll(async () => {
+        server = await startTestServer({ productsApi: 'rest' });
+        job = (await request(server.app).post('/api/sync').expect(202)).body;
+    });
+
+    afterAll(() => server.close());
+
+    const getEvents = (url, headers = {}) => request(server.app).get(url).set(headers).expect(200)
+        .expect('Content-Type', /text\/event-stream/)
+        .then(res => parseEvents(res.text));
+
+    test('POST /sync responde logo com o ID do trabalho', () => {
+        expect(job).toEqual({
+            job_id: expect.any(Number),
+            // A fila está vazia: o trabalho começa logo
+            status: 'running',
+            status_url: `/api/jobs/${job.job_id}`,
+            events_url: `/api/jobs/${job.job_id}/events`
+        });
+    });
+
+    test('eventos das etapas até ao fim do trabalho', async () => {
+        const events = await getEvents(job.events_url);
+        const types = events.map(event => event.type);
+        expect(types[0]).toBe('status');
+        expect(types[types.length - 1]).toBe('done');
+
+        const progress = events.filter(event => event.type === 'progress');
+        expect([...new Set(progress.map(event => event.stage))]).toEqual([
+            'fetch', 'inventory', 'markets', 'filter', 'format', 'alerts', 'validate', 'export'
+        ]);
+        expect(progress.filter(event => event.pages).map(event => event.message)).toEqual([
+            'Página 1: 3 de 7 produtos lidos',
+            'Página 2: 6 de 7 produtos lidos',
+            'Página 3: 7 de 7 produtos lidos'
+        ]);
+
+        // A barra nunca anda para trás
+        const percents = progress.map(event => event.percent).filter(percent => typeof percent === 'number');
+        expect(percents).toEqual([...percents].sort((a, b) => a - b));
+        expect(events.map(event => event.seq)).toEqual(events.map((event, index) => index + 1));
+
+        expect(events[events.length - 1]).toMatchObject({
+            status: 'success',
+            result: { success: true, count: 6, fetched: 7 }
+        });
+    });
+
+    test('ao voltar a ligar só recebe os eventos depois do Last-Event-ID', async () => {
+        const all = await getEvents(job.events_url);
+        const resumed = await getEvents(job.events_url, { 'Last-Event-ID': String(all.length - 2) });
+        expect(resumed).toEqual(all.slice(-2));
+    });
+
+    test('estado do trabalho', async () => {
+        const { body } = await request(server.app).get(job.status_url).expect(200);
+        expect(body).toMatchObject({ id: job.job_id, trigger: 'manual', status: 'success' });
+        await request(server.app).get('/api/jobs/999').expect(404);
+        await request(server.app).get('/api/jobs/999/events').expect(404);
+    });
+
+    test('avisos da sincronização', async () => {
+        // Produto sem imagens: erro de validação
+        server.mock.updateProduct(1004, { images: [] });
+        const { body: next } = await request(server.app).post('/api/sync').expect(202);
+        const events = await getEvents(next.events_url);
+
+        expect(events.filter(event => event.level === 'warning')).toEqual([
+            expect.objectContaining({ stage: 'validate', message: '1 produtos com erros de validação (ver relatório)' })
+        ]);
+        expect(events[events.length - 1]).toMatchObject({ status: 'success' });
+    });
+});
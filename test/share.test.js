@@ -0,0 +1,32 @@
+// test/share.test.js - Mensagens de partilha: links UTM com URLs relativos ou em falta
+const { addUtm, buildProductMessage, buildCollectionMessage } = require('../lib/share');
+
+const UTM = { source: 'whatsapp', medium: 'chat' };
+const row = fields => ({
+    id: '1-1',
+    item_group_id: '1',
+    name: 'Bastidor - 20cm',
+    variant_title: '20cm',
+    price: '4,50 €',
+    price_amount: 4.5,
+    availability: 'Em stock',
+    stock: 3,
+    available: true,
+    description: 'Bastidor em madeira.',
+    ...fields
+});
+
+describe('partilha', () => {
+    test('addUtm junta os parâmetros a links absolutos e deixa os outros como estão', () => {
+        expect(addUtm('https://loja.pt/products/bastidor?variant=1', UTM, '1'))
+            .toBe('https://loja.pt/products/bastidor?variant=1&utm_source=whatsapp&utm_medium=chat&utm_content=1');
+        expect(addUtm('/products/bastidor', UTM, '1')).toBe('/products/bastidor');
+        expect(addUtm(undefined, UTM, '1')).toBe('');
+    });
+
+    test('produtos sem link não partem as mensagens', () => {
+        const rows = [row({ url: undefined }), row({ id: '1-2', variant_title: '30cm', name: 'Bastidor - 30cm' })];
+        expect(buildProductMessage(rows, { utm: UTM })).not.toContain('🔗');
+        expect(buildCollectionMessage('Bastidores', rows, { utm: UTM })).toContain('*Bastidor* - 4,50 €');
+    });
+});
@@ -0,0 +1,51 @@
+// test/store.test.js - Store de uma loja: diffs das sincronizações fora do store.json
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+
+describe('diffs das sincronizações', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bastidor-store-'));
+    });
+
+    afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    const diff = id => ({ summary: { added: 1 }, added: [{ id, name: `Produto ${id}` }], changed_ids: [id] });
+    const savedHistory = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'store.json'), 'utf8')).syncHistory;
+
+    test('o histórico guarda só o resumo e o diff fica num ficheiro por sincronização', () => {
+        const store = createStore(dataDir);
+        const record = store.addSyncRecord({ success: true, changes: { added: 1 }, diff: diff('1-1') });
+        store.addSyncRecord({ success: false, error: 'falhou' });
+
+        expect(savedHistory().map(entry => entry.has_diff)).toEqual([false, true]);
+        expect(savedHistory().some(entry => 'diff' in entry)).toBe(false);
+        expect(store.getSyncDiff(record.id)).toEqual(diff('1-1'));
+        expect(store.getSyncDiff(record.id + 1)).toBeNull();
+    });
+
+    test('os diffs saem com as sincronizações mais antigas do histórico', () => {
+        const store = createStore(dataDir);
+        for (let i = 0; i < 101; i++) {
+            store.addSyncRecord({ success: true, diff: diff(`${i}`) });
+        }
+        expect(store.getSyncHistory()).toHaveLength(100);
+        expect(store.getSyncDiff(1)).toBeNull();
+        expect(store.getSyncDiff(2)).toEqual(diff('1'));
+        expect(fs.readdirSync(path.join(dataDir, 'diffs'))).toHaveLength(100);
+    });
+
+    test('stores antigos com o diff no histórico passam para ficheiros ao carregar', () => {
+        fs.writeFileSync(path.join(dataDir, 'store.json'), JSON.stringify({
+            syncHistory: [{ id: 1, success: true, diff: diff('1-1') }]
+        }));
+        const store = createStore(dataDir);
+        store.loadStore();
+
+        expect(savedHistory()).toEqual([{ id: 1, success: true, has_diff: true }]);
+        expect(store.getSyncDiff(1)).toEqual(diff('1-1'));
+    });
+});
@@ -0,0 +1,26 @@
+// test/stores.test.js - Perfis das lojas: versão mínima da Admin API para a leitura GraphQL
+const { validateStoreProfiles } = require('../lib/stores');
+
+describe('perfis das lojas', () => {
+    const profile = fields => ({
+        id: 'loja',
+        shop: 'loja',
+        token_env: 'SHOPIFY_TOKEN',
+        storefront_url: 'https://loja.pt',
+        ...fields
+    });
+
+    test('a leitura GraphQL precisa da Admin API 2024-04 ou mais recente', () => {
+        expect(validateStoreProfiles({ stores: [profile({ api_version: '2024-01', products_api: 'graphql' })] }))
+            .toEqual([expect.stringContaining('2024-04 ou mais recente')]);
+        expect(validateStoreProfiles({ stores: [profile({ api_version: '2024-04', products_api: 'graphql' })] }))
+            .toEqual([]);
+        expect(validateStoreProfiles({ stores: [profile({ api_version: 'unstable', products_api: 'graphql' })] }))
+            .toEqual([]);
+    });
+
+    test('com a leitura REST as versões anteriores continuam válidas', () => {
+        expect(validateStoreProfiles({ stores: [profile({ api_version: '2023-10', products_api: 'rest' })] }))
+            .toEqual([]);
+    });
+});
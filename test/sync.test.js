@@ -0,0 +1,161 @@
+// test/sync.test.js - Sincronização completa (REST) contra o mock do Shopify e ficheiros exportados
+const request = require('supertest');
+const { startTestServer } = require('./helpers');
+
+describe('sincronização REST', () => {
+    let server;
+    let firstSync;
+
+    beforeAll(async () => {
+        // Os dois primeiros pedidos ao products.json levam 429
+        server = await startTestServer({ productsApi: 'rest', rateLimit: 2, rateLimitPath: '/products.json' });
+        firstSync = (await request(server.app).post('/api/sync?wait=1').expect(200)).body;
+    });
+
+    afterAll(() => server.close());
+
+    const getFile = file => request(server.app).get(`/api/files/${file}`).expect(200).then(res => res.text);
+
+    test('busca todas as páginas pelo header Link e aplica os filtros', () => {
+        expect(firstSync).toMatchObject({
+            success: true,
+            store: 'teste',
+            pages: 3,
+            fetched: 7,
+            excluded: 3,
+            count: 6,
+            alerts: 0
+        });
+
+        // A primeira página é pedida três vezes (ver o teste dos 429)
+        const pages = server.mock.requestsTo('/products.json');
+        expect(pages.map(req => !!req.query.page_info)).toEqual([false, false, false, true, true]);
+    });
+
+    test('espera e repete os pedidos depois de um 429', () => {
+        expect(server.mock.state.rateLimited).toBe(2);
+        // A primeira página de produtos só passa à terceira tentativa, sem repetir o total
+        expect(server.mock.requestsTo('/products.json').filter(req => !req.query.page_info)).toHaveLength(3);
+        expect(server.mock.requestsTo('/products/count.json')).toHaveLength(1);
+    });
+
+    test('stock das localizações escolhidas e variantes sem controlo de inventário', async () => {
+        // As páginas seguintes (page_info) herdam os filtros do primeiro pedido
+        const levels = server.mock.requestsTo('/inventory_levels.json').filter(req => !req.query.page_info);
+        expect(levels.length).toBeGreaterThan(0);
+        levels.forEach(req => expect(req.query.location_ids).toBe('1'));
+        // O kit não tem controlo de inventário: não se pedem níveis
+        expect(levels.flatMap(req => req.query.inventory_item_ids.split(','))).not.toContain('3005');
+
+        const { body } = await request(server.app).get('/api/products').expect(200);
+        const byId = Object.fromEntries(body.products.map(row => [row.id, row]));
+        expect(byId['1001-2001']).toMatchObject({ stock: 12, available: true, availability: 'Em stock' });
+        expect(byId['1001-2003']).toMatchObject({ stock: 0, available: false, availability: 'Sem stock' });
+        expect(byId['1003-2005']).toMatchObject({ stock: null, available: true });
+        expect(byId['1004-2006']).toMatchObject({ stock: 0, available: true });
+    });
+
+    test('produtos excluídos com o motivo', async () => {
+        const { body } = await request(server.app).get('/api/products').expect(200);
+        expect(body.total).toBe(6);
+        expect(body.excluded_total).toBe(3);
+        expect(body.excluded.map(entry => entry.product_id).sort()).toEqual([1005, 1006, 1007]);
+    });
+
+    test('descrições HTML convertidas em texto para o WhatsApp', async () => {
+        const { body } = await request(server.app).get('/api/products').expect(200);
+        const descriptions = Object.fromEntries(body.products.map(row => [row.id, row.description]));
+
+        expect(descriptions['1001-2001']).toContain('*madeira de faia* & parafuso em latão');
+        expect(descriptions['1001-2001']).toContain('• Ideal para bordado "livre"');
+        expect(descriptions['1002-2004']).not.toMatch(/<|alert|nota interna/);
+        expect(descriptions['1002-2004']).toContain('🌈');
+    });
+
+    test('estado da loja', async () => {
+        const { body } = await request(server.app).get('/api/status').expect(200);
+        expect(body).toMatchObject({
+            store: { id: 'teste', name: 'Loja de Teste' },
+            products_count: 6,
+            shopify_connected: true,
+            locations: [1]
+        });
+        expect(body.sync_history[0]).toMatchObject({ success: true, count: 6 });
+    });
+
+    test('localizações do Shopify com as escolhidas marcadas', async () => {
+        const { body } = await request(server.app).get('/api/locations').expect(200);
+        expect(body.locations.map(({ id, selected }) => ({ id, selected }))).toEqual([
+            { id: 1, selected: true },
+            { id: 2, selected: false }
+        ]);
+    });
+
+    test.each([
+        'catalogo.csv',
+        'catalogo.json',
+        'catalogo-meta.csv',
+        'catalogo-br.csv',
+        'catalogo-br.json'
+    ])('%s', async file => {
+        expect(await getFile(file)).toMatchSnapshot();
+    });
+
+    test('mercado BR com preços e traduções do Shopify', async () => {
+        const csv = await getFile('catalogo-br.csv');
+        expect(csv).toContain('Bastidor de Madeira Natural - 15cm');
+        expect(csv).toContain('R$');
+        // As agulhas não estão na price list em BRL: preço convertido pela taxa do mercado (3,20 x 6,2)
+        expect(csv).toContain('"R$ 19,84"');
+    });
+
+    test('segunda sincronização: alterações, alertas e CSV delta', async () => {
+        server.mock.updateProduct(1001, {
+            variants: server.mock.state.products[0].variants.map(variant => (
+                variant.id === 2001 ? { ...variant, price: '4.90', inventory_quantity: 1 } : variant
+            ))
+        });
+        server.mock.removeProduct(1002);
+
+        const { body: sync } = await request(server.app).post('/api/sync?wait=1').expect(200);
+        expect(sync).toMatchObject({
+            success: true,
+            count: 5,
+            changes: { added: 0, removed: 1, price_changed: 1, stock_changed: 1 },
+            alerts: 1
+        });
+
+        const { body: diff } = await request(server.app).get(`/api/sync/${sync.sync_id}/diff`).expect(200);
+        expect(diff.price_changed).toEqual([
+            expect.objectContaining({ id: '1001-2001', old: '4,50 €', new: '4,90 €' })
+        ]);
+        expect(diff.removed.map(row => row.id)).toEqual(['1002-2004']);
+
+        const { body: alertList } = await request(server.app).get('/api/alerts').expect(200);
+        expect(alertList.alerts).toEqual([
+            expect.objectContaining({ type: 'low_stock', id: '1001-2001', stock: 1, threshold: 3 })
+        ]);
+
+        expect(await getFile('catalogo-delta.csv')).toMatchSnapshot();
+    });
+
+    test('o CSV delta inclui as linhas em que só mudou o título', async () => {
+        server.mock.updateProduct(1003, { title: 'Kit Bordado Iniciante Deluxe' });
+        const { body: sync } = await request(server.app).post('/api/sync?wait=1').expect(200);
+        expect(sync.changes).toMatchObject({ added: 0, price_changed: 0, stock_changed: 0, description_changed: 0 });
+
+        const delta = await getFile('catalogo-delta.csv');
+        expect(delta).toContain('Kit Bordado Iniciante Deluxe');
+        expect(delta).not.toContain('1001-2001');
+    });
+
+    test('sem o total de produtos a sincronização continua', async () => {
+        const restore = server.mock.failRequests('/products/count.json');
+        try {
+            const { body: sync } = await request(server.app).post('/api/sync?wait=1').expect(200);
+            expect(sync).toMatchObject({ success: true, pages: 2, count: 5 });
+        } finally {
+            restore();
+        }
+    });
+});
@@ -0,0 +1,60 @@
+// test/validation.test.js - Validação do catálogo: teste dos links só nas linhas alteradas
+const express = require('express');
+const { validateCatalog } = require('../lib/validation');
+
+const LABELS = { in_stock: 'Em stock', out_of_stock: 'Sem stock' };
+
+describe('validação dos links', () => {
+    let server;
+    let baseUrl;
+    const requested = [];
+
+    beforeAll(async () => {
+        const app = express();
+        app.use((req, res) => {
+            requested.push(req.path);
+            res.sendStatus(req.path.startsWith('/em-falta') ? 404 : 200);
+        });
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const row = (id, image) => ({
+        id,
+        name: `Produto ${id}`,
+        description: 'Descrição com comprimento suficiente.',
+        price: '1,00 €',
+        price_amount: 1,
+        availability: 'Em stock',
+        stock: 5,
+        available: true,
+        sku: `SKU-${id}`,
+        image_url: `${baseUrl}/${image}`,
+        url: `${baseUrl}/produtos/${id}`
+    });
+
+    test('com urlIds só testa os links dessas linhas e mantém os problemas anteriores das outras', async () => {
+        const rows = [row('1', 'em-falta-1.jpg'), row('2', 'imagem-2.jpg'), row('3', 'imagem-3.jpg')];
+        const previous = await validateCatalog(rows, { labels: LABELS, checkUrls: true });
+        expect(previous.invalid_ids).toEqual(['1']);
+
+        requested.length = 0;
+        const patched = [rows[0], row('2', 'em-falta-2.jpg'), rows[2]];
+        const report = await validateCatalog(patched, {
+            labels: LABELS,
+            checkUrls: true,
+            urlIds: new Set(['2']),
+            previous
+        });
+
+        expect(requested.sort()).toEqual(['/em-falta-2.jpg', '/produtos/2']);
+        expect(report.invalid_ids).toEqual(['1', '2']);
+        expect(report.items.find(item => item.id === '1').errors).toEqual([
+            expect.objectContaining({ code: 'unreachable_image_url' })
+        ]);
+    });
+});
@@ -0,0 +1,129 @@
+// test/webhook.test.js - Webhooks de produtos: assinatura HMAC, atualização parcial e regeneração dos ficheiros
+const request = require('supertest');
+const { SHOP_DOMAIN, readFixture, startTestServer, signWebhook, waitFor } = require('./helpers');
+
+describe('webhooks de produtos', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startTestServer({ productsApi: 'rest' });
+        await request(server.app).post('/api/sync?wait=1').expect(200);
+    });
+
+    afterAll(() => server.close());
+
+    function sendWebhook(topic, body, { hmac, domain = SHOP_DOMAIN } = {}) {
+        const signed = signWebhook(body);
+        return request(server.app)
+            .post('/webhook/shopify/products')
+            .set('Content-Type', 'application/json')
+            .set('X-Shopify-Topic', topic)
+            .set('X-Shopify-Shop-Domain', domain)
+            .set('X-Shopify-Hmac-Sha256', hmac || signed.hmac)
+            .send(signed.raw);
+    }
+
+    // Esperar pela versão de exportação criada pelo webhook seguinte
+    async function nextWebhookExport() {
+        const { body } = await request(server.app).get('/api/exports');
+        const previous = body.current;
+        return waitFor(async () => {
+            const { body: exports } = await request(server.app).get('/api/exports');
+            const current = exports.versions.find(version => version.current);
+            return current && current.version !== previous && current.source === 'webhook' ? current : null;
+        });
+    }
+
+    const getProducts = () => request(server.app).get('/api/products').expect(200).then(res => res.body);
+
+    test('rejeita assinaturas inválidas', async () => {
+        const product = readFixture('products.json')[1];
+        await sendWebhook('products/update', product, { hmac: signWebhook(product, 'outro-segredo').hmac })
+            .expect(401);
+    });
+
+    test('rejeita lojas desconhecidas', async () => {
+        await sendWebhook('products/update', { id: 1 }, { domain: 'outra-loja.myshopify.com' }).expect(401);
+    });
+
+    test('products/update substitui as linhas do produto e regenera os ficheiros', async () => {
+        // Segunda sincronização sem alterações: a delta fica só com o que o webhook mudar
+        await request(server.app).post('/api/sync?wait=1').expect(200);
+        const product = server.mock.updateProduct(1002, { title: 'Linha de Bordar Mouliné' });
+        const exported = nextWebhookExport();
+
+        await sendWebhook('products/update', product).expect(200);
+        const version = await exported;
+        expect(version.count).toBe(6);
+
+        const { products } = await getProducts();
+        expect(products.map(row => row.id)).toEqual([
+            '1001-2001', '1001-2002', '1001-2003', '1002-2004', '1003-2005', '1004-2006'
+        ]);
+        expect(products.find(row => row.id === '1002-2004')).toMatchObject({
+            name: 'Linha de Bordar Mouliné',
+            stock: 40
+        });
+
+        const csv = (await request(server.app).get('/api/files/catalogo.csv').expect(200)).text;
+        expect(csv).toContain('Linha de Bordar Mouliné');
+
+        // O CSV delta continua na versão nova, com o que mudou desde a última sincronização
+        expect(version.files).toContain('catalogo-delta.csv');
+        const delta = (await request(server.app).get('/api/files/catalogo-delta.csv').expect(200)).text;
+        expect(delta).toContain('Linha de Bordar Mouliné');
+        expect(delta).not.toContain('BAS-15');
+    });
+
+    test('products/update de um produto que passa a ser excluído', async () => {
+        const product = server.mock.updateProduct(1003, { tags: 'kit, nao-whatsapp' });
+        const exported = nextWebhookExport();
+
+        await sendWebhook('products/update', product).expect(200);
+        await exported;
+
+        const { products, excluded } = await getProducts();
+        expect(products.map(row => row.product_id)).not.toContain(1003);
+        expect(excluded.map(entry => entry.product_id)).toContain(1003);
+    });
+
+    test('um webhook que chega durante uma sincronização é aplicado depois dela', async () => {
+        // A sincronização já leu os produtos e fica parada no stock
+        const levelsBefore = server.mock.requestsTo('/inventory_levels.json').length;
+        const release = server.mock.holdRequests('/inventory_levels.json');
+        const { body: job } = await request(server.app).post('/api/sync').expect(202);
+        await waitFor(() => server.mock.requestsTo('/inventory_levels.json').length > levelsBefore);
+
+        const product = server.mock.updateProduct(1004, { title: 'Agulhas Douradas' });
+        const exported = nextWebhookExport();
+        await sendWebhook('products/update', product).expect(200);
+        release();
+
+        await waitFor(async () => {
+            const { body } = await request(server.app).get(`/api/jobs/${job.job_id}`);
+            return body.status === 'success';
+        });
+        await exported;
+        const { products } = await getProducts();
+        expect(products.find(row => row.id === '1004-2006').name).toBe('Agulhas Douradas');
+    });
+
+    test('aceita webhooks maiores que o limite por omissão do express.json (100kb)', async () => {
+        const product = server.mock.updateProduct(1004, { body_html: `<p>${'Agulhas de aço. '.repeat(15000)}</p>` });
+        expect(JSON.stringify(product).length).toBeGreaterThan(200 * 1024);
+        const exported = nextWebhookExport();
+        await sendWebhook('products/update', product).expect(200);
+        await exported;
+    });
+
+    test('products/delete remove as linhas do produto', async () => {
+        const exported = nextWebhookExport();
+
+        await sendWebhook('products/delete', { id: 1001 }).expect(200);
+        const version = await exported;
+        expect(version.count).toBe(2);
+
+        const { products } = await getProducts();
+        expect(products.map(row => row.id)).toEqual(['1002-2004', '1004-2006']);
+    });
+});